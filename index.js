@@ -0,0 +1,11 @@
+/**
+ * Programmatic API, for build scripts and tests:
+ *
+ *   import { migrate, convertFile } from './index.js';
+ *   await migrate({ source: 'my-app', out: 'my-app-solid', plugins: ['./acme-plugin.js'] });
+ *
+ * See lib/migration.js for the options and lib/plugins.js for plugins.
+ */
+export { migrate, convertFile } from './lib/migration.js';
+export { createProvider } from './lib/providers/index.js';
+export { validatePlugin } from './lib/plugins.js';
@@ -0,0 +1,236 @@
+/**
+ * Small AST helpers shared by the conversion transforms.
+ */
+
+const REACT_HOOKS = new Set([
+    'useState',
+    'useEffect',
+    'useLayoutEffect',
+    'useMemo',
+    'useRef',
+    'useCallback',
+    'useContext',
+    'useReducer',
+    'useId',
+    'useImperativeHandle'
+]);
+
+/**
+ * Collect the local names the file binds from 'react' before any transform
+ * removes the import declarations. `React` used without being declared
+ * (Next.js and the new JSX transform make it global for types such as
+ * `React.ReactNode`) counts as the React namespace.
+ */
+export function collectReactBindings(j, root) {
+    const bindings = {
+        hasImport: false,
+        namespaces: new Set(),
+        named: new Map()
+    };
+
+    root.find(j.ImportDeclaration, { source: { value: 'react' } }).forEach(path => {
+        bindings.hasImport = true;
+        for (const specifier of path.node.specifiers || []) {
+            if (specifier.type === 'ImportSpecifier') {
+                bindings.named.set(specifier.local.name, specifier.imported.name);
+            } else {
+                bindings.namespaces.add(specifier.local.name);
+            }
+        }
+    });
+    if (!declaresName(j, root, 'React')) {
+        bindings.namespaces.add('React');
+    }
+
+    return bindings;
+}
+
+/** True when the file declares `name` anywhere: an import, variable, function or class. */
+function declaresName(j, root, name) {
+    return root.find(j.ImportSpecifier, { local: { name } }).size() > 0
+        || root.find(j.ImportDefaultSpecifier, { local: { name } }).size() > 0
+        || root.find(j.ImportNamespaceSpecifier, { local: { name } }).size() > 0
+        || root.find(j.VariableDeclarator, { id: { type: 'Identifier', name } }).size() > 0
+        || root.find(j.FunctionDeclaration, { id: { name } }).size() > 0
+        || root.find(j.ClassDeclaration, { id: { name } }).size() > 0;
+}
+
+/**
+ * Resolve a callee (`useState` or `React.useState`) to the React export it
+ * refers to, or null when it is not a React binding.
+ */
+export function getReactName(ctx, node) {
+    if (node.type === 'Identifier') {
+        if (ctx.react.named.has(node.name)) return ctx.react.named.get(node.name);
+        if (!ctx.react.hasImport && REACT_HOOKS.has(node.name)) return node.name;
+        return null;
+    }
+    if ((node.type === 'MemberExpression' || node.type === 'TSQualifiedName') && !node.computed) {
+        const object = node.object || node.left;
+        const property = node.property || node.right;
+        if (object.type === 'Identifier' && ctx.react.namespaces.has(object.name) && property.type === 'Identifier') {
+            return property.name;
+        }
+    }
+    return null;
+}
+
+const TS_EXPRESSIONS = new Set(['TSAsExpression', 'TSSatisfiesExpression', 'TSNonNullExpression', 'TSTypeAssertion']);
+
+/** True for the TypeScript-only wrappers of an expression: `as`, `satisfies`, `!`, `<T>x`. */
+export function isTSExpression(node) {
+    return Boolean(node) && TS_EXPRESSIONS.has(node.type);
+}
+
+/**
+ * The expression inside any `as`, `satisfies` and `!` wrappers:
+ * `[on, toggle] as const` is the array.
+ */
+export function unwrapTSExpression(node) {
+    while (isTSExpression(node)) node = node.expression;
+    return node;
+}
+
+/**
+ * True when the identifier at `path` reads a variable, as opposed to
+ * declaring it, naming a property, being assigned to or appearing in a type.
+ */
+export function isReference(path) {
+    if (path.node.type !== 'Identifier') return false;
+
+    const parent = path.parent.node;
+    const key = path.name;
+
+    switch (parent.type) {
+        case 'MemberExpression':
+        case 'OptionalMemberExpression':
+            return key !== 'property' || parent.computed;
+        case 'ObjectProperty':
+        case 'Property':
+            if (path.parent.parent.node.type === 'ObjectPattern') return false;
+            return key === 'value' || parent.computed;
+        case 'ClassProperty':
+        case 'ClassMethod':
+        case 'ObjectMethod':
+        case 'MethodDefinition':
+            return key !== 'key' || parent.computed;
+        case 'VariableDeclarator':
+            return key !== 'id';
+        case 'AssignmentExpression':
+            return key !== 'left';
+        case 'UpdateExpression':
+        case 'ArrayPattern':
+        case 'RestElement':
+        case 'AssignmentPattern':
+        case 'LabeledStatement':
+        case 'BreakStatement':
+        case 'ContinueStatement':
+        case 'ImportSpecifier':
+        case 'ImportDefaultSpecifier':
+        case 'ImportNamespaceSpecifier':
+        case 'ExportSpecifier':
+        case 'CatchClause':
+            return key === 'right' && parent.type === 'AssignmentPattern';
+        case 'FunctionDeclaration':
+        case 'FunctionExpression':
+        case 'ArrowFunctionExpression':
+        case 'ClassDeclaration':
+        case 'ClassExpression':
+            return key === 'body';
+        default:
+            return !parent.type.startsWith('TS') || TS_EXPRESSIONS.has(parent.type);
+    }
+}
+
+/**
+ * Remove a statement while handing its leading comments to the next
+ * statement, so file headers and doc comments survive.
+ */
+export function removeStatement(path) {
+    const leading = (path.node.comments || []).filter(comment => comment.leading);
+    const siblings = path.parentPath.value;
+    const next = Array.isArray(siblings) ? siblings[path.name + 1] : null;
+
+    if (leading.length > 0 && next) {
+        next.comments = [...leading, ...(next.comments || [])];
+    }
+    path.prune();
+}
+
+/**
+ * Replace a statement with another, keeping its comments in place.
+ */
+export function replaceStatement(path, replacement) {
+    const comments = path.node.comments;
+    path.node.comments = null;
+    replacement.comments = comments;
+    path.replace(replacement);
+}
+
+/**
+ * Print a node back to source, reusing its original text where possible.
+ */
+export function toSource(j, node) {
+    return j(node).toSource();
+}
+
+/**
+ * Build nodes from source text. Nodes parsed this way keep the compact
+ * formatting of the snippet when recast prints them, where hand-built
+ * object and type literals would be spread over several lines.
+ */
+export function parseStatement(j, source) {
+    const statement = j.template.statement([source]);
+    // Without its own location recast lays the statement out like any new
+    // node (one per line) while still reusing the snippet text inside it.
+    delete statement.loc;
+    return statement;
+}
+
+export function parseExpression(j, source) {
+    // Parsed as the right-hand side of an assignment so recast keeps the
+    // snippet's own formatting for the top-level node too.
+    return parseStatement(j, `_ = ${source};`).expression.right;
+}
+
+/**
+ * Lowercase tag names (`div`, `input`) are DOM elements; everything else is
+ * a component.
+ */
+export function isIntrinsic(path) {
+    const name = path.node.name;
+    return name.type === 'JSXIdentifier' && /^[a-z]/.test(name.name);
+}
+
+export function findAttribute(attributes, name) {
+    return attributes.find(attribute =>
+        attribute.type === 'JSXAttribute' && attribute.name.type === 'JSXIdentifier' && attribute.name.name === name
+    );
+}
+
+/** Input types whose onChange is the DOM change event in React too. */
+const CHANGE_INPUT_TYPES = new Set(['checkbox', 'radio', 'file']);
+
+/**
+ * True for a JSX element whose React onChange fires on every keystroke:
+ * textareas, and inputs other than checkboxes, radios and file pickers.
+ */
+export function isTextField(node) {
+    if (node.name.type !== 'JSXIdentifier') return false;
+    if (node.name.name === 'textarea') return true;
+    if (node.name.name !== 'input') return false;
+
+    const type = findAttribute(node.attributes, 'type');
+    let value = type ? type.value : null;
+    if (value && value.type === 'JSXExpressionContainer') value = value.expression;
+    return !(value && (value.type === 'StringLiteral' || value.type === 'Literal') && CHANGE_INPUT_TYPES.has(value.value));
+}
+
+/**
+ * Pick the quote style the source file already uses for its imports.
+ */
+export function detectQuoteStyle(code) {
+    const single = (code.match(/from\s+'/g) || []).length;
+    const double = (code.match(/from\s+"/g) || []).length;
+    return double > single ? 'double' : 'single';
+}
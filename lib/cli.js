@@ -0,0 +1,170 @@
+import chalk from 'chalk';
+import { spawnSync } from 'child_process';
+import { parseArgs } from 'util';
+import inquirer from 'inquirer';
+import path from 'path';
+import fs from 'fs-extra';
+
+export const CONFIG_FILE = 'migrate.config.json';
+
+const CLI_OPTIONS = {
+    source: { type: 'string' },
+    out: { type: 'string' },
+    'cloudflare-name': { type: 'string' },
+    'entry-component': { type: 'string' },
+    config: { type: 'string' },
+    yes: { type: 'boolean', short: 'y' },
+    'dry-run': { type: 'boolean' },
+    'patch-dir': { type: 'string' },
+    'strict-effects': { type: 'boolean' },
+    'type-check': { type: 'boolean' },
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    concurrency: { type: 'string' },
+    'rate-limit': { type: 'string' },
+    install: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Merge command-line flags over `migrate.config.json` (or the file given
+ * with --config). Values neither of them set are left undefined so the
+ * caller can prompt for them.
+ *
+ * Config file keys: source, out, cloudflareName, entryComponent,
+ * searchGlobs, ignore, transforms: { enable, disable }, strictEffects,
+ * typeCheck, provider, model, concurrency, rateLimit, install, plugins
+ * (see plugins.js).
+ */
+export async function loadSettings(argv = process.argv.slice(2), cwd = process.cwd()) {
+    const { values } = parseArgs({ args: argv, options: CLI_OPTIONS, strict: true, allowPositionals: false });
+
+    const configPath = path.resolve(cwd, values.config || CONFIG_FILE);
+    let config = {};
+    if (await fs.pathExists(configPath)) {
+        config = await fs.readJson(configPath);
+        if (config.plugins) config.plugins = resolvePluginPaths(config.plugins, path.dirname(configPath));
+    } else if (values.config) {
+        throw new Error(`Config file not found: ${configPath}`);
+    }
+
+    const flags = {
+        source: values.source,
+        out: values.out,
+        cloudflareName: values['cloudflare-name'],
+        entryComponent: values['entry-component'],
+        strictEffects: values['strict-effects'],
+        typeCheck: values['type-check'],
+        provider: values.provider,
+        model: values.model,
+        concurrency: values.concurrency,
+        rateLimit: values['rate-limit'],
+        install: values.install
+    };
+    for (const key of Object.keys(flags)) {
+        if (flags[key] === undefined) delete flags[key];
+    }
+    const settings = { ...config, ...flags };
+    for (const key of ['concurrency', 'rateLimit']) {
+        if (settings[key] !== undefined) settings[key] = positiveInteger(key, settings[key]);
+    }
+
+    return {
+        ...settings,
+        help: Boolean(values.help),
+        yes: Boolean(values.yes),
+        dryRun: Boolean(values['dry-run'] || values['patch-dir']),
+        patchDir: values['patch-dir'] || null
+    };
+}
+
+/**
+ * Plugin module paths in the config file are relative to the file itself,
+ * wherever the scripts are run from; package names are left as they are.
+ */
+function resolvePluginPaths(entries, configDir) {
+    return entries.map(entry => {
+        const [specifier, ...rest] = Array.isArray(entry) ? entry : [entry];
+        const local = typeof specifier === 'string' && (specifier.startsWith('.') || path.isAbsolute(specifier));
+        const resolved = local ? path.resolve(configDir, specifier) : specifier;
+        return Array.isArray(entry) ? [resolved, ...rest] : resolved;
+    });
+}
+
+function positiveInteger(key, value) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`${key} must be a whole number of at least 1, not "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Ask only the questions whose answer is still missing from `settings`.
+ * With --yes nothing is asked: defaults are used, and a missing value
+ * without a default is an error.
+ */
+export async function promptForMissing(questions, settings) {
+    if (!settings.yes) {
+        return inquirer.prompt(questions, settings);
+    }
+
+    const answers = { ...settings };
+    for (const question of questions) {
+        if (answers[question.name] !== undefined) continue;
+        if (question.when && !question.when(answers)) continue;
+
+        const value = typeof question.default === 'function' ? question.default(answers) : question.default;
+        const valid = question.validate ? question.validate(value ?? '') : true;
+        if (value === undefined || valid !== true) {
+            throw new Error(`--yes was given but "${question.name}" has no value: ${valid === true ? 'set it with a flag or in the config file' : valid}`);
+        }
+        answers[question.name] = value;
+    }
+    return answers;
+}
+
+export function printUsage(script) {
+    console.log(`Usage: node ${script} [options]
+
+Options:
+  --source <dir>            React project to migrate
+  --out <dir>               Directory for the new Astro + SolidJS project
+  --cloudflare-name <name>  Cloudflare project name for wrangler.toml
+  --entry-component <name>  Component rendered on the home page (API-free version)
+  --config <file>           Config file (default: ${CONFIG_FILE})
+  --strict-effects          Keep useEffect dependency arrays via on()
+  --type-check              Type-check the converted files with tsc (API-free version)
+  --provider <name>         Model for files the local transforms cannot finish:
+                            gemini, openai, mock or none (default: gemini for
+                            migrate.js, none for solid_migration_tool.js)
+  --model <name>            Model name for the provider
+  --concurrency <n>         Files converted at once (default: 4)
+  --rate-limit <n>          At most n model requests per minute
+  --install                 Run npm install in the new project (needs network)
+  --dry-run                 Convert in memory and print a diff per file
+  --patch-dir <dir>         With --dry-run, write .patch files here instead
+  -y, --yes                 Never prompt; use defaults for missing values
+  -h, --help                Show this help
+
+Any value not given as a flag or in the config file is asked for interactively.`);
+}
+
+/**
+ * Run a shell command in `cwd`, streaming its output. Throws when it fails.
+ */
+export function runCommand(commandString, cwd) {
+    console.log(chalk.dim(`$ ${commandString}  (in ${cwd || './'})`));
+    const [command, ...args] = commandString.split(' ');
+
+    const result = spawnSync(command, args, {
+        stdio: 'inherit',
+        shell: true,
+        cwd
+    });
+
+    if (result.status !== 0) {
+        console.error(chalk.red(`\nCommand failed with exit code ${result.status}: "${commandString}"`));
+        throw new Error(`Command failed: ${commandString}`);
+    }
+}
@@ -0,0 +1,119 @@
+import jscodeshift from 'jscodeshift';
+import { TRANSFORMS } from './transforms/index.js';
+import { collectReactBindings, detectQuoteStyle } from './ast-utils.js';
+import { analyzeCustomHooks } from './custom-hooks.js';
+import { SOLID_EQUIVALENTS } from './packages.js';
+import { loadPlugins, withPluginTransforms } from './plugins.js';
+
+/**
+ * `.ts` files cannot contain JSX, and parsing them as TSX breaks on
+ * `<T>(x) => x` style generics.
+ */
+function parserFor(filePath) {
+    return filePath && filePath.endsWith('.ts') ? 'ts' : 'tsx';
+}
+
+/**
+ * The transforms to run: every required transform plus the optional ones
+ * listed in `options.enableTransforms`, minus `options.disableTransforms`.
+ * Transforms of `options.plugins` (see plugins.js) are treated the same.
+ */
+export function selectTransforms(options = {}) {
+    const enabled = new Set(options.enableTransforms || []);
+    const disabled = new Set(options.disableTransforms || []);
+    return withPluginTransforms(TRANSFORMS, options.plugins).filter(transform =>
+        (!transform.optional || enabled.has(transform.name)) && !disabled.has(transform.name)
+    );
+}
+
+/**
+ * The runTransforms options for the migration settings both scripts share
+ * (strictEffects, controlFlow, transforms: { enable, disable } and plugins,
+ * see cli.js), with the plugins loaded relative to `cwd`. selectTransforms
+ * picks the transforms from them.
+ */
+export async function createConversionOptions({ strictEffects = false, controlFlow = true, transforms = {}, plugins } = {}, cwd = process.cwd()) {
+    return {
+        strictEffects,
+        enableTransforms: transforms.enable || (controlFlow ? ['control-flow'] : []),
+        disableTransforms: transforms.disable || [],
+        plugins: await loadPlugins(plugins, cwd)
+    };
+}
+
+/**
+ * Parse `code` once, run every transform over the same syntax tree and print
+ * it back with recast, which only reprints the nodes that changed.
+ * Returns the converted code, the names of the transforms that fired, the
+ * markup lifted out of next/head for the page's <head>, for a root layout
+ * that rendered <html> `document: { attributes }` (else null), and
+ * `warnings` about what the transforms could not be sure to get right.
+ *
+ * Options:
+ * - strictEffects: keep useEffect dependency arrays as `on([...deps])`
+ *   instead of relying on Solid's automatic tracking.
+ * - enableTransforms / disableTransforms: transform names, see selectTransforms.
+ * - customHooks: Map of the project's custom hooks from collectCustomHooks,
+ *   so call sites in this file are converted consistently with their
+ *   definitions elsewhere.
+ * - liftHead: move static next/head content, and a root layout's <html>,
+ *   out of the component; set for route components, whose Astro page or
+ *   layout renders them.
+ * - plugins: loaded plugins whose transforms run with the built-in ones.
+ * - resolveImport: the project's import resolver (see createResolver), which
+ *   tells imports of project files from package imports.
+ */
+export function runTransforms(code, filePath, options = {}) {
+    const transforms = selectTransforms(options);
+    const j = jscodeshift.withParser(parserFor(filePath));
+    const root = j(code);
+
+    const ctx = {
+        j,
+        root,
+        filePath,
+        options,
+        isTypeScript: /\.tsx?$/.test(filePath || ''),
+        react: collectReactBindings(j, root),
+        customHooks: new Map([...(options.customHooks || []), ...analyzeCustomHooks(j, root)]),
+        signals: [],
+        solidImports: new Set(),
+        solidTypeImports: new Set(),
+        head: [],
+        document: null,
+        warnings: []
+    };
+
+    const applied = [];
+    for (const transform of transforms) {
+        if (transform.run(ctx)) applied.push(transform.name);
+    }
+
+    const { head, document, warnings } = ctx;
+    if (applied.length === 0) return { code, applied, head, document, warnings };
+
+    const output = root.toSource({ quote: detectQuoteStyle(code), arrowParensAlways: true });
+    return { code: output, applied, head, document, warnings };
+}
+
+/**
+ * Core React to SolidJS conversion logic - NO API required!
+ */
+export function convertReactToSolid(code, filePath, options = {}) {
+    return runTransforms(code, filePath, options).code;
+}
+
+/** Imports of the Next.js built-ins the conversion replaces. */
+const NEXT_BUILTINS = /['"]next\/(link|image|legacy\/image|router|navigation|head)['"]/;
+
+/**
+ * Whether a file looks like React code worth converting; anything else is
+ * copied as-is. Files calling one of the project's custom hooks, or
+ * importing a React package with a Solid port, count too, since those
+ * imports and call sites change.
+ */
+export function needsConversion(code, customHooks = new Map()) {
+    if (/React|useState|useEffect|useRef|useMemo|['"]use client['"]/.test(code) || NEXT_BUILTINS.test(code)) return true;
+    if (Object.keys(SOLID_EQUIVALENTS).some(name => code.includes(`'${name}`) || code.includes(`"${name}`))) return true;
+    return [...customHooks.keys()].some(name => code.includes(name));
+}
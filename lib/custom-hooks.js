@@ -0,0 +1,114 @@
+import jscodeshift from 'jscodeshift';
+import { collectReactBindings, getReactName, unwrapTSExpression } from './ast-utils.js';
+
+const CUSTOM_HOOK_NAME = /^use[A-Z0-9]/;
+
+/**
+ * Accessor-returning React hooks: their results are read by calling them
+ * once converted.
+ */
+const ACCESSOR_HOOKS = new Set(['useState', 'useReducer', 'useMemo']);
+
+export function isCustomHookName(name) {
+    return CUSTOM_HOOK_NAME.test(name);
+}
+
+/**
+ * `useCounter` is emitted as the Solid-style primitive `createCounter`.
+ */
+export function toPrimitiveName(name) {
+    return `create${name.slice(3)}`;
+}
+
+/**
+ * Describe what each custom hook defined in the file returns, so call
+ * sites in any file know which of the values they destructure are
+ * accessors: `{ accessor }` for a hook returning one signal, `indexes` for
+ * array results and `keys` for object results.
+ */
+export function analyzeCustomHooks(j, root) {
+    const ctx = { react: collectReactBindings(j, root) };
+    const hooks = new Map();
+
+    root.find(j.Function).forEach(path => {
+        const name = functionName(path);
+        if (!name || !isCustomHookName(name)) return;
+
+        const accessors = collectAccessors(ctx, j, path);
+        const returned = lastReturn(path.node);
+        const info = { accessor: false, indexes: [], keys: [] };
+
+        if (returned && returned.type === 'Identifier') {
+            info.accessor = accessors.has(returned.name);
+        } else if (returned && returned.type === 'ArrayExpression') {
+            returned.elements.map(unwrapTSExpression).forEach((element, index) => {
+                if (element && element.type === 'Identifier' && accessors.has(element.name)) info.indexes.push(index);
+            });
+        } else if (returned && returned.type === 'ObjectExpression') {
+            for (const property of returned.properties) {
+                if ((property.type === 'ObjectProperty' || property.type === 'Property') && !property.computed
+                    && property.key.type === 'Identifier' && unwrapTSExpression(property.value).type === 'Identifier'
+                    && accessors.has(unwrapTSExpression(property.value).name)) {
+                    info.keys.push(property.key.name);
+                }
+            }
+        }
+        hooks.set(name, info);
+    });
+
+    return hooks;
+}
+
+/**
+ * Run analyzeCustomHooks over every project file. Files that fail to parse
+ * are skipped here; the conversion step reports them.
+ */
+export function collectCustomHooks(files) {
+    const hooks = new Map();
+    for (const { file, code } of files) {
+        if (!/\buse[A-Z0-9]/.test(code)) continue;
+        try {
+            const j = jscodeshift.withParser(file.endsWith('.ts') ? 'ts' : 'tsx');
+            for (const [name, info] of analyzeCustomHooks(j, j(code))) hooks.set(name, info);
+        } catch {
+            // Reported when the file itself is converted.
+        }
+    }
+    return hooks;
+}
+
+export function functionName(path) {
+    const { node, parent } = path;
+    if (node.id) return node.id.name;
+    if (parent.node.type === 'VariableDeclarator' && parent.node.id.type === 'Identifier') return parent.node.id.name;
+    return null;
+}
+
+/**
+ * Names in the hook body bound to signal getters and memos.
+ */
+function collectAccessors(ctx, j, path) {
+    const accessors = new Set();
+
+    j(path.get('body')).find(j.VariableDeclarator, { init: { type: 'CallExpression' } }).forEach(declarator => {
+        const { id, init } = declarator.node;
+        const hook = getReactName(ctx, init.callee);
+        if (!ACCESSOR_HOOKS.has(hook)) return;
+
+        if (id.type === 'ArrayPattern' && id.elements[0] && id.elements[0].type === 'Identifier') {
+            accessors.add(id.elements[0].name);
+        } else if (id.type === 'Identifier' && hook === 'useMemo') {
+            accessors.add(id.name);
+        }
+    });
+
+    return accessors;
+}
+
+/** What the function returns last, without `as const` and the like. */
+function lastReturn(fn) {
+    if (fn.body.type !== 'BlockStatement') return unwrapTSExpression(fn.body);
+    const statements = fn.body.body;
+    const last = statements[statements.length - 1];
+    return last && last.type === 'ReturnStatement' ? unwrapTSExpression(last.argument) : null;
+}
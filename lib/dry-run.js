@@ -0,0 +1,74 @@
+import chalk from 'chalk';
+import path from 'path';
+import fs from 'fs-extra';
+import { createTwoFilesPatch } from 'diff';
+
+/**
+ * Unified diff between a source file and what the migration would write,
+ * with git-style `a/` and `b/` paths so it can be applied with `git apply`.
+ */
+export function createFilePatch(sourceFile, targetFile, before, after) {
+    return createTwoFilesPatch(
+        `a/${toPosix(sourceFile)}`,
+        `b/${toPosix(targetFile)}`,
+        before,
+        after,
+        '',
+        '',
+        { context: 3 }
+    );
+}
+
+/**
+ * Print a patch with added lines in green and removed lines in red.
+ */
+export function printPatch(patch) {
+    for (const line of patch.split('\n')) {
+        if (line.startsWith('+++') || line.startsWith('---')) {
+            console.log(chalk.bold(line));
+        } else if (line.startsWith('+')) {
+            console.log(chalk.green(line));
+        } else if (line.startsWith('-')) {
+            console.log(chalk.red(line));
+        } else if (line.startsWith('@@')) {
+            console.log(chalk.cyan(line));
+        } else {
+            console.log(line);
+        }
+    }
+}
+
+/**
+ * Write one `<source file>.patch` per converted file under `patchDir`.
+ */
+export async function writePatches(patches, patchDir) {
+    for (const { file, patch } of patches) {
+        const patchPath = path.join(patchDir, `${file}.patch`);
+        await fs.ensureDir(path.dirname(patchPath));
+        await fs.writeFile(patchPath, patch);
+    }
+}
+
+/**
+ * Print the files a dry run would have written and what happens to each
+ * source file.
+ */
+export function printDryRunSummary({ patches, skipped, failed, generated }) {
+    console.log(chalk.cyan.bold('\n\n🔍 Dry run complete - nothing was written 🔍'));
+    console.log(chalk.green(`✏️  Would convert: ${patches.length} files`));
+    console.log(chalk.yellow(`⏭️  Would copy unchanged: ${skipped.length} files`));
+    console.log(chalk.red(`❌ Would fail: ${failed.length} files`));
+
+    if (generated.length > 0) {
+        console.log(chalk.white('\nFiles the migration would generate:'));
+        generated.forEach(file => console.log(chalk.white(`  • ${file}`)));
+    }
+    if (failed.length > 0) {
+        console.log(chalk.red('\nFailed files (review manually):'));
+        failed.forEach(({ file, error }) => console.log(chalk.red(`  • ${file}: ${error}`)));
+    }
+}
+
+function toPosix(file) {
+    return file.split(path.sep).join('/');
+}
@@ -0,0 +1,533 @@
+import jscodeshift from 'jscodeshift';
+import { detectQuoteStyle, isReference, parseExpression, parseStatement, replaceStatement, toSource } from './ast-utils.js';
+
+const HTTP_METHODS = new Set(['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS']);
+
+/**
+ * Next.js types and helpers that have a standard Web API equivalent.
+ */
+const WEB_EQUIVALENTS = { NextResponse: 'Response', NextRequest: 'Request' };
+
+/**
+ * Convert a Next.js API route (`pages/api/**`, kind 'api') or route handler
+ * (`app/**\/route.ts`, kind 'route') into an Astro endpoint that exports one
+ * `APIRoute` per HTTP method (`ALL` for API routes, which handle every
+ * method in one function).
+ *
+ * Returns the converted code, the environment variables the handlers read
+ * (now from `locals.runtime.env`, for wrangler.toml) and warnings about
+ * anything left for manual review.
+ */
+export function convertEndpoint(code, filePath, kind) {
+    const j = jscodeshift.withParser(filePath.endsWith('.ts') ? 'ts' : 'tsx');
+    const root = j(code);
+    const ctx = { j, root, isTypeScript: /\.tsx?$/.test(filePath), env: new Set(), warnings: [] };
+
+    const converted = kind === 'api' ? convertApiRoute(ctx) : convertRouteHandlers(ctx);
+    convertNextServer(ctx);
+
+    const moduleEnv = root.find(j.MemberExpression).filter(path => isProcessEnv(path.node));
+    if (moduleEnv.size() > 0) {
+        moduleEnv.forEach(path => recordEnv(ctx, path));
+        ctx.warnings.push('process.env is read outside a handler; on Cloudflare variables are only available per request through locals.runtime.env');
+    }
+    if (converted && ctx.isTypeScript) {
+        insertImport(ctx, "import type { APIRoute } from 'astro';");
+    }
+
+    return {
+        code: root.toSource({ quote: detectQuoteStyle(code), arrowParensAlways: true }),
+        env: [...ctx.env].sort(),
+        warnings: ctx.warnings
+    };
+}
+
+/**
+ * `export default function handler(req, res)` -> `export const ALL: APIRoute = async ({ request: req }) => ...`
+ */
+function convertApiRoute(ctx) {
+    const { j, root } = ctx;
+    const exportPath = root.find(j.ExportDefaultDeclaration).paths()[0];
+    if (!exportPath) {
+        ctx.warnings.push('no default export handler found');
+        return false;
+    }
+
+    const declaration = exportPath.node.declaration;
+    let fnPath = null;
+    if (isFunction(declaration)) {
+        fnPath = exportPath.get('declaration');
+    } else if (declaration.type === 'Identifier') {
+        fnPath = findTopLevelFunction(ctx, declaration.name);
+    }
+    if (!fnPath) {
+        ctx.warnings.push(`default export \`${toSource(j, declaration)}\` is not a plain handler function; convert it by hand`);
+        return false;
+    }
+
+    const [req, res] = fnPath.node.params;
+    const binding = {
+        request: req && req.type === 'Identifier' ? req.name : null,
+        context: []
+    };
+    rewriteApiBody(ctx, fnPath, binding, res && res.type === 'Identifier' ? res.name : null);
+    rewriteEnv(ctx, fnPath, binding);
+
+    if (fnPath === exportPath.get('declaration')) {
+        replaceWithEndpoint(ctx, exportPath, 'ALL', fnPath.node, binding);
+    } else {
+        setContextParam(ctx, fnPath.node, binding);
+        const type = ctx.isTypeScript ? ': APIRoute' : '';
+        replaceStatement(exportPath, parseStatement(j, `export const ALL${type} = ${declaration.name};`));
+    }
+    return true;
+}
+
+/**
+ * `export async function GET(request, { params })` -> `export const GET: APIRoute = async ({ request, params }) => ...`
+ */
+function convertRouteHandlers(ctx) {
+    const { j, root } = ctx;
+    let converted = false;
+
+    root.find(j.ExportNamedDeclaration).forEach(exportPath => {
+        const declaration = exportPath.node.declaration;
+        let name = null;
+        let fnPath = null;
+        if (declaration && declaration.type === 'FunctionDeclaration' && HTTP_METHODS.has(declaration.id.name)) {
+            name = declaration.id.name;
+            fnPath = exportPath.get('declaration');
+        } else if (declaration && declaration.type === 'VariableDeclaration' && declaration.declarations.length === 1) {
+            const [declarator] = declaration.declarations;
+            if (declarator.id.type === 'Identifier' && HTTP_METHODS.has(declarator.id.name) && isFunction(declarator.init)) {
+                name = declarator.id.name;
+                fnPath = exportPath.get('declaration', 'declarations', 0, 'init');
+            }
+        }
+        if (!fnPath) return;
+
+        const [req, second] = fnPath.node.params;
+        const binding = {
+            request: req && req.type === 'Identifier' ? req.name : null,
+            context: []
+        };
+        if (second && second.type === 'ObjectPattern') {
+            binding.context.push(...second.properties.map(property => toSource(j, property)));
+        } else if (second && second.type === 'Identifier') {
+            binding.context.push('params');
+            prepend(ctx, fnPath, `const ${second.name} = { params };`);
+        }
+
+        rewriteRouteBody(ctx, fnPath, binding);
+        rewriteEnv(ctx, fnPath, binding);
+        replaceWithEndpoint(ctx, exportPath, name, fnPath.node, binding);
+        converted = true;
+    });
+
+    return converted;
+}
+
+function isFunction(node) {
+    return Boolean(node) && ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'].includes(node.type);
+}
+
+function findTopLevelFunction(ctx, name) {
+    const { j, root } = ctx;
+    const declaration = root.find(j.FunctionDeclaration, { id: { name } }).filter(path => path.parent.node.type === 'Program').paths()[0];
+    if (declaration) return declaration;
+
+    const declarator = root.find(j.VariableDeclarator, { id: { name } })
+        .filter(path => path.parent.parent.node.type === 'Program' && isFunction(path.node.init))
+        .paths()[0];
+    return declarator ? declarator.get('init') : null;
+}
+
+/**
+ * The destructured APIContext a converted handler takes, e.g.
+ * `{ request: req, params, locals }`.
+ */
+function contextPattern(binding) {
+    const entries = [];
+    if (binding.request) entries.push(binding.request === 'request' ? 'request' : `request: ${binding.request}`);
+    for (const entry of binding.context) {
+        if (!entries.includes(entry)) entries.push(entry);
+    }
+    return `{ ${entries.join(', ')} }`;
+}
+
+function setContextParam(ctx, fn, binding) {
+    fn.params = binding.request || binding.context.length > 0
+        ? [parseExpression(ctx.j, `(${contextPattern(binding)}) => {}`).params[0]]
+        : [];
+    if (binding.async) fn.async = true;
+}
+
+function replaceWithEndpoint(ctx, exportPath, name, fn, binding) {
+    const type = ctx.isTypeScript ? ': APIRoute' : '';
+    const async = fn.async || binding.async ? 'async ' : '';
+    const params = binding.request || binding.context.length > 0 ? contextPattern(binding) : '';
+    const statement = parseStatement(ctx.j, `export const ${name}${type} = ${async}(${params}) => {};`);
+    statement.declaration.declarations[0].init.body = fn.body;
+    replaceStatement(exportPath, statement);
+}
+
+function prepend(ctx, fnPath, source) {
+    const fn = fnPath.node;
+    if (fn.body.type !== 'BlockStatement') {
+        fn.body = ctx.j.blockStatement([ctx.j.returnStatement(fn.body)]);
+    }
+    fn.body.body.unshift(parseStatement(ctx.j, source));
+}
+
+function useContext(binding, name) {
+    if (!binding.context.includes(name)) binding.context.push(name);
+}
+
+/**
+ * Map the Node-style `req`/`res` of an API route onto the Web `Request` and
+ * the `Response` the handler now returns.
+ */
+function rewriteApiBody(ctx, fnPath, binding, resName) {
+    const { j } = ctx;
+    const reqName = binding.request;
+    const body = j(fnPath.get('body'));
+    const inserts = [];
+    // The locals standing in for req.query, req.body and res.setHeader()
+    const names = {
+        query: uniqueName(ctx, 'query'),
+        body: uniqueName(ctx, 'body'),
+        headers: uniqueName(ctx, 'headers')
+    };
+
+    if (reqName) {
+        body.find(j.MemberExpression, { object: { type: 'Identifier', name: reqName } })
+            .filter(path => !path.node.computed)
+            .forEach(path => {
+                const property = path.node.property.name;
+                if (property === 'query' || property === 'body') {
+                    path.replace(j.identifier(names[property]));
+                    if (!inserts.includes(property)) inserts.push(property);
+                } else if (property === 'headers' || property === 'cookies') {
+                    rewriteLookup(ctx, path, binding, property);
+                }
+            });
+    }
+
+    if (resName) {
+        body.find(j.ExpressionStatement).forEach(path => {
+            const chain = resChain(path.node.expression, resName);
+            if (chain && chain.length === 1 && chain[0].method === 'setHeader') {
+                path.node.expression = parseExpression(j, `${names.headers}.set(${chain[0].args.map(arg => toSource(j, arg)).join(', ')})`);
+                if (!inserts.includes('headers')) inserts.unshift('headers');
+            }
+        });
+
+        body.find(j.CallExpression)
+            .filter(path => resChain(path.node, resName) && !(path.parent.node.type === 'MemberExpression' && path.parent.node.object === path.node))
+            .forEach(path => {
+                const response = buildResponse(ctx, resChain(path.node, resName), reqName, inserts.includes('headers') ? names.headers : null);
+                if (!response) return;
+                const parent = path.parent.node;
+                if (parent.type === 'ExpressionStatement') {
+                    // `res.json(data); return;` only needs the first return now.
+                    const siblings = path.parent.parentPath;
+                    const next = Array.isArray(siblings.value) ? siblings.get(path.parent.name + 1) : null;
+                    if (next && next.value && next.value.type === 'ReturnStatement' && !next.value.argument) {
+                        next.prune();
+                    }
+                    replaceStatement(path.parent, j.returnStatement(response));
+                } else {
+                    path.replace(response);
+                }
+            });
+
+        const remaining = body.find(j.Identifier, { name: resName }).filter(path => isReference(path)).size();
+        if (remaining > 0) {
+            ctx.warnings.push(`\`${resName}\` is still used in ways that have no Response equivalent; return a Response instead`);
+        }
+    }
+
+    // Inserted in reverse so they end up in this order at the top.
+    for (const insert of [...inserts].reverse()) {
+        if (insert === 'headers') {
+            prepend(ctx, fnPath, `const ${names.headers} = new Headers();`);
+        } else if (insert === 'query') {
+            useContext(binding, 'params');
+            prepend(ctx, fnPath, `const ${names.query} = { ...Object.fromEntries(new URL(${reqName}.url).searchParams), ...params };`);
+        } else if (insert === 'body') {
+            binding.async = true;
+            prepend(ctx, fnPath, `const ${names.body} = await ${readBodyHelper(ctx)}(${reqName});`);
+        }
+    }
+}
+
+/**
+ * `base`, or `base2`, `base3`... when the file already uses that name, so
+ * an inserted declaration never clashes with one of the handler's own.
+ */
+function uniqueName(ctx, base) {
+    const { j, root } = ctx;
+    if (!ctx.names) {
+        ctx.names = new Set(root.find(j.Identifier).filter(path => {
+            const parent = path.parent.node;
+            const isKey = ['MemberExpression', 'OptionalMemberExpression'].includes(parent.type) && parent.property === path.node && !parent.computed
+                || ['ObjectProperty', 'Property', 'ClassProperty', 'ObjectMethod', 'ClassMethod'].includes(parent.type) && parent.key === path.node && !parent.computed && !parent.shorthand;
+            return !isKey;
+        }).nodes().map(node => node.name));
+    }
+    let name = base;
+    for (let i = 2; ctx.names.has(name); i++) name = `${base}${i}`;
+    ctx.names.add(name);
+    return name;
+}
+
+/**
+ * Next.js parses an API route's body by its content type: JSON, form data
+ * (as an object) or text. The function doing the same for a Request is
+ * added to the file once; returns its name.
+ */
+function readBodyHelper(ctx) {
+    if (ctx.readBody) return ctx.readBody;
+    ctx.readBody = uniqueName(ctx, 'readBody');
+    const type = ctx.isTypeScript ? ': Request' : '';
+    const helper = parseStatement(ctx.j, `async function ${ctx.readBody}(request${type}) {
+    if (request.method === 'GET' || request.method === 'HEAD') return undefined;
+    const type = request.headers.get('content-type') || '';
+    if (type.includes('application/json')) return request.json();
+    if (type.includes('form')) return Object.fromEntries(await request.formData());
+    return request.text();
+}`);
+    helper.comments = [ctx.j.commentBlock('* Reads the body as Next.js parsed it: JSON, form fields or text. ', true, false)];
+    ctx.root.get().node.program.body.push(helper);
+    return ctx.readBody;
+}
+
+/**
+ * `req.headers.host` / `req.headers['x-id']` -> `req.headers.get('x-id')`,
+ * `req.cookies.token` -> `cookies.get('token')?.value`.
+ */
+function rewriteLookup(ctx, path, binding, property) {
+    const { j } = ctx;
+    const parent = path.parent.node;
+    if (parent.type !== 'MemberExpression' || parent.object !== path.node) return;
+
+    let key = null;
+    if (!parent.computed) key = `'${parent.property.name}'`;
+    else key = toSource(j, parent.property);
+
+    if (property === 'headers') {
+        path.parent.replace(parseExpression(j, `${binding.request}.headers.get(${key})`));
+    } else {
+        useContext(binding, 'cookies');
+        path.parent.replace(parseExpression(j, `cookies.get(${key})?.value`));
+    }
+}
+
+/**
+ * `res.status(404).json(data)` as a list of `{ method, args }`, or null
+ * when `node` is not a call chain on `res`.
+ */
+function resChain(node, resName) {
+    const calls = [];
+    let current = node;
+    while (current.type === 'CallExpression' && current.callee.type === 'MemberExpression' && !current.callee.computed) {
+        calls.unshift({ method: current.callee.property.name, args: current.arguments });
+        current = current.callee.object;
+    }
+    return calls.length > 0 && current.type === 'Identifier' && current.name === resName ? calls : null;
+}
+
+/**
+ * The Response for a `res` call chain; `headers` names the Headers that
+ * res.setHeader() calls were collected in, if there were any.
+ */
+function buildResponse(ctx, chain, reqName, headers) {
+    const { j } = ctx;
+    const source = arg => toSource(j, arg);
+    let status = null;
+    let response = null;
+
+    for (const { method, args } of chain) {
+        if (method === 'status' && args.length === 1) {
+            status = source(args[0]);
+            continue;
+        }
+        const init = [status ? `status: ${status}` : null, headers ? (headers === 'headers' ? 'headers' : `headers: ${headers}`) : null].filter(Boolean);
+        const initSource = init.length > 0 ? `{ ${init.join(', ')} }` : null;
+
+        if (method === 'json') {
+            response = `Response.json(${[source(args[0] || j.identifier('null')), initSource].filter(Boolean).join(', ')})`;
+        } else if (method === 'send' || method === 'end') {
+            const payload = args[0] ? source(args[0]) : 'null';
+            response = `new Response(${[payload, initSource].filter(Boolean).join(', ')})`;
+        } else if (method === 'redirect') {
+            const [code, url] = args.length === 2 ? args.map(source) : [null, source(args[0])];
+            const base = reqName ? `, ${reqName}.url` : '';
+            response = `Response.redirect(new URL(${url}${base})${code ? `, ${code}` : ''})`;
+        } else {
+            return null;
+        }
+    }
+
+    return response ? parseExpression(j, response) : null;
+}
+
+/**
+ * Route handlers already speak Request/Response; only the Next.js extras
+ * need mapping: `request.nextUrl`, and `headers()`/`cookies()` from
+ * next/headers.
+ */
+function rewriteRouteBody(ctx, fnPath, binding) {
+    const { j, root } = ctx;
+    const body = j(fnPath.get('body'));
+    const nextHeaders = importedFrom(ctx, 'next/headers');
+
+    if (binding.request) {
+        body.find(j.MemberExpression, {
+            object: { type: 'Identifier', name: binding.request },
+            property: { name: 'nextUrl' }
+        }).forEach(path => path.replace(parseExpression(j, `new URL(${binding.request}.url)`)));
+    }
+
+    body.find(j.CallExpression, { callee: { type: 'Identifier' }, arguments: [] }).forEach(path => {
+        const imported = nextHeaders.get(path.node.callee.name);
+        if (imported === 'headers') {
+            binding.request = binding.request || 'request';
+            path.replace(parseExpression(j, `${binding.request}.headers`));
+        } else if (imported === 'cookies') {
+            useContext(binding, 'cookies');
+            path.replace(j.identifier('cookies'));
+        }
+    });
+
+    // `await cookies()` is now `await cookies`, which is harmless but noisy.
+    body.find(j.AwaitExpression).filter(path => {
+        const argument = path.node.argument;
+        return argument.type === 'Identifier' && argument.name === 'cookies'
+            || (argument.type === 'MemberExpression' && argument.property.name === 'headers' && argument.object.type === 'Identifier' && argument.object.name === binding.request);
+    }).forEach(path => {
+        const parent = path.parent;
+        path.replace(path.node.argument);
+        // Rebuilt so recast drops the parentheses `(await cookies()).get` needed.
+        if (parent.node.type === 'MemberExpression' && parent.node.object === path.node) {
+            parent.replace(j.memberExpression(parent.node.object, parent.node.property, parent.node.computed));
+        }
+    });
+
+    for (const [local] of nextHeaders) {
+        if (root.find(j.CallExpression, { callee: { type: 'Identifier', name: local } }).size() === 0) {
+            removeSpecifier(ctx, 'next/headers', local);
+        }
+    }
+}
+
+function isProcessEnv(node) {
+    return node.type === 'MemberExpression' && !node.computed
+        && node.object.type === 'Identifier' && node.object.name === 'process'
+        && node.property.name === 'env';
+}
+
+/**
+ * `process.env.API_KEY` -> `locals.runtime.env.API_KEY`: Cloudflare has no
+ * process environment, its bindings arrive with each request.
+ */
+function rewriteEnv(ctx, fnPath, binding) {
+    const { j } = ctx;
+    j(fnPath.get('body')).find(j.MemberExpression).filter(path => isProcessEnv(path.node)).forEach(path => {
+        recordEnv(ctx, path);
+        path.replace(parseExpression(j, 'locals.runtime.env'));
+        useContext(binding, 'locals');
+    });
+}
+
+/**
+ * Note the variable names read from `process.env` at `path`.
+ */
+function recordEnv(ctx, path) {
+    const parent = path.parent.node;
+    if (parent.type === 'MemberExpression' && parent.object === path.node) {
+        if (!parent.computed) ctx.env.add(parent.property.name);
+        else if (parent.property.type === 'StringLiteral' || parent.property.type === 'Literal') ctx.env.add(parent.property.value);
+    } else if (parent.type === 'VariableDeclarator' && parent.id.type === 'ObjectPattern') {
+        for (const property of parent.id.properties) {
+            if (property.key && property.key.type === 'Identifier') ctx.env.add(property.key.name);
+        }
+    }
+}
+
+/**
+ * NextResponse and NextRequest -> Response and Request, dropping the
+ * next/server import. NextResponse.next() and rewrite() are middleware
+ * only and have no equivalent.
+ */
+function convertNextServer(ctx) {
+    const { j, root } = ctx;
+    const imported = importedFrom(ctx, 'next/server');
+
+    for (const [local, name] of imported) {
+        const replacement = WEB_EQUIVALENTS[name];
+        if (!replacement) continue;
+
+        root.find(j.Identifier, { name: local })
+            .filter(path => path.parent.node.type !== 'ImportSpecifier')
+            .filter(path => !(path.parent.node.type === 'MemberExpression' && path.parent.node.property === path.node && !path.parent.node.computed))
+            .forEach(path => {
+                const parent = path.parent.node;
+                if (parent.type === 'MemberExpression' && ['next', 'rewrite'].includes(parent.property.name)) {
+                    ctx.warnings.push(`${name}.${parent.property.name}() has no endpoint equivalent; use Astro middleware`);
+                }
+                path.node.name = replacement;
+            });
+        removeSpecifier(ctx, 'next/server', local);
+    }
+
+    // Helpers typed with the Next.js request get the Request handlers now
+    // pass them; the response has no equivalent, so its type stays for review
+    for (const [local, name] of importedFrom(ctx, 'next')) {
+        const references = root.find(j.TSTypeReference, { typeName: { type: 'Identifier', name: local } });
+        if (name === 'NextApiRequest') {
+            references.forEach(path => {
+                path.node.typeName = j.identifier('Request');
+            });
+        } else if (name === 'NextApiResponse' && references.size() > 0) {
+            ctx.warnings.push(`${local} is still used as a type; the code using it needs a Response instead`);
+            continue;
+        } else if (name !== 'NextApiResponse') {
+            continue;
+        }
+        removeSpecifier(ctx, 'next', local);
+    }
+}
+
+/**
+ * Local name -> imported name for the specifiers imported from `source`.
+ */
+function importedFrom(ctx, source) {
+    const { j, root } = ctx;
+    const names = new Map();
+    root.find(j.ImportDeclaration, { source: { value: source } }).forEach(path => {
+        for (const specifier of path.node.specifiers || []) {
+            if (specifier.type === 'ImportSpecifier') names.set(specifier.local.name, specifier.imported.name);
+        }
+    });
+    return names;
+}
+
+function removeSpecifier(ctx, source, local) {
+    const { j, root } = ctx;
+    root.find(j.ImportDeclaration, { source: { value: source } }).forEach(path => {
+        path.node.specifiers = path.node.specifiers.filter(specifier => specifier.local.name !== local);
+        if (path.node.specifiers.length === 0) path.prune();
+    });
+}
+
+function insertImport(ctx, source) {
+    const { j, root } = ctx;
+    const statement = parseStatement(j, source);
+    const imports = root.find(j.ImportDeclaration);
+    if (imports.size() > 0) {
+        imports.at(imports.size() - 1).insertAfter(statement);
+    } else {
+        root.get().node.program.body.unshift(statement);
+    }
+}
@@ -0,0 +1,80 @@
+import { runTransforms } from './convert.js';
+import { createFilePatch } from './dry-run.js';
+import { findLeftovers } from './report.js';
+import { parseDiagnostics } from './validate.js';
+
+/**
+ * Why locally converted `code` is not finished: it does not parse, or
+ * React is left in it (see findLeftovers; `source` is the code it was
+ * converted from). Empty when it can be used as is.
+ */
+export function fallbackReasons(code, filePath, source = null) {
+    const [syntaxError] = parseDiagnostics(code, filePath);
+    if (syntaxError) {
+        return [`the converted code does not parse: ${syntaxError.message}${syntaxError.line ? ` (line ${syntaxError.line})` : ''}`];
+    }
+    const leftovers = [...new Set(findLeftovers(code, filePath, source).map(({ name }) => name))];
+    return leftovers.length > 0 ? [`React is left in it: ${leftovers.join(', ')}`] : [];
+}
+
+/**
+ * Convert one file with the local transforms (runTransforms), and hand it
+ * to `provider` (see providers/index.js) only when they could not finish
+ * it: the conversion threw, its output does not parse, or React is left.
+ * The model's answer is used when it parses; otherwise, or when the model
+ * cannot be reached, the local output is kept.
+ *
+ * Returns runTransforms' `{ code, applied, head, document, warnings }` plus `via` ('local' or
+ * the provider name), `reasons` (why the file needed a model, also given
+ * without a provider) and `modelPatch`, the diff from the local output to
+ * the model's. Throws when neither could convert the file.
+ */
+export async function convertHybrid(code, filePath, options = {}, provider = null) {
+    let local = null;
+    let localError = null;
+    try {
+        local = runTransforms(code, filePath, options);
+    } catch (error) {
+        localError = error;
+    }
+
+    const reasons = localError ? [`the local conversion failed: ${localError.message}`] : fallbackReasons(local.code, filePath, code);
+    const result = { ...local, via: 'local', reasons, modelPatch: null };
+    if (reasons.length === 0 || !provider) {
+        if (localError) throw localError;
+        return result;
+    }
+
+    let modelCode;
+    try {
+        modelCode = await provider.convert({ file: filePath, source: code, local: local ? local.code : null, reasons });
+    } catch (error) {
+        if (localError) throw new Error(`${localError.message}; ${provider.name} failed too: ${error.message}`);
+        return { ...result, reasons: [...reasons, `${provider.name} failed, so the local conversion was kept: ${error.message}`] };
+    }
+
+    const [syntaxError] = parseDiagnostics(modelCode, filePath);
+    if (syntaxError) {
+        if (localError) throw new Error(`${localError.message}; the ${provider.name} output does not parse either: ${syntaxError.message}`);
+        return { ...result, reasons: [...reasons, `the ${provider.name} output does not parse, so the local conversion was kept`] };
+    }
+
+    return {
+        code: modelCode,
+        applied: local ? local.applied : [],
+        head: local ? local.head : [],
+        document: local ? local.document : null,
+        warnings: local ? local.warnings : [],
+        via: provider.name,
+        reasons,
+        modelPatch: createFilePatch(filePath, filePath, local ? local.code : code, modelCode)
+    };
+}
+
+/**
+ * The progress message for a converted file, naming the model provider
+ * when the local transforms could not finish it.
+ */
+export function convertedMessage(file, { via }) {
+    return via === 'local' ? `Converted: ${file}` : `Converted: ${file} (finished by ${via})`;
+}
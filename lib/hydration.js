@@ -0,0 +1,211 @@
+import chalk from 'chalk';
+import path from 'path';
+import fs from 'fs-extra';
+import jscodeshift from 'jscodeshift';
+import { isReference } from './ast-utils.js';
+import { functionName } from './custom-hooks.js';
+import { listImports } from './imports.js';
+
+export const HYDRATION_REPORT = 'hydration-report.json';
+
+/**
+ * Globals that only exist in the browser. Reading one while rendering
+ * breaks server rendering, so such components must skip it.
+ */
+const BROWSER_GLOBALS = new Set([
+    'window', 'document', 'localStorage', 'sessionStorage', 'navigator', 'location',
+    'history', 'matchMedia', 'requestAnimationFrame', 'IntersectionObserver', 'ResizeObserver'
+]);
+
+/**
+ * Router hooks answering from the URL, which the generated router module
+ * (next-shims.js) only knows in the browser.
+ */
+const URL_HOOKS = new Set(['usePathname', 'useSearchParams']);
+
+const STATE_PRIMITIVES = new Set(['createSignal', 'createStore']);
+const EFFECT_PRIMITIVES = new Set(['onMount', 'createEffect', 'createRenderEffect', 'createResource']);
+
+/**
+ * Pick the Astro hydration directive for a converted Solid component, from
+ * least to most JavaScript shipped:
+ * - no directive: nothing interactive, render it to static HTML,
+ * - client:visible: event handlers or state only, hydrate when scrolled to,
+ * - client:idle: event handlers driving local state, hydrate once the page is idle,
+ * - client:load: effects that should run as soon as the page loads,
+ * - client:only="solid-js": browser globals or the URL read while
+ *   rendering, so it cannot be server rendered at all.
+ * `imports` are the converted `{ file, code }` of the project modules the
+ * component imports, directly or through others: the components it renders
+ * and the hooks it calls hydrate with it, so what they do counts too.
+ * Returns the directive (null for none) and the reasons behind it.
+ */
+export function chooseDirective(code, filePath = 'Component.tsx', { imports = [] } = {}) {
+    // Each kind of fact as a Map from the module to the names found in it
+    const facts = { handlers: new Map(), state: new Map(), effects: new Map(), renderGlobals: new Map(), renderUrlHooks: new Map() };
+    for (const module of [{ file: filePath, code }, ...imports]) {
+        let found;
+        try {
+            found = collectFacts(module.code, module.file);
+        } catch {
+            // A module that does not parse is reported by validation.
+            continue;
+        }
+        for (const [kind, names] of Object.entries(found)) {
+            if (names.size > 0) facts[kind].set(module.file, names);
+        }
+    }
+    const { handlers, state, effects, renderGlobals, renderUrlHooks } = facts;
+
+    // What an imported module does is named with where it does it
+    const list = found => [...found].map(([file, names]) => {
+        const joined = [...names].join(', ');
+        return file === filePath ? joined : `${joined} in ${file}`;
+    }).join('; ');
+    if (renderGlobals.size > 0 || renderUrlHooks.size > 0) {
+        return {
+            directive: 'client:only="solid-js"',
+            reasons: [
+                ...(renderGlobals.size > 0 ? [`reads ${list(renderGlobals)} while rendering, which does not exist on the server`] : []),
+                ...(renderUrlHooks.size > 0 ? [`reads the URL through ${list(renderUrlHooks)} while rendering, which only the browser knows`] : [])
+            ]
+        };
+    }
+    if (effects.size > 0) {
+        return {
+            directive: 'client:load',
+            reasons: [`runs ${list(effects)} as soon as it mounts`, ...(handlers.size > 0 ? [`handles ${list(handlers)}`] : [])]
+        };
+    }
+    if (handlers.size > 0 && state.size > 0) {
+        return {
+            directive: 'client:idle',
+            reasons: [`handles ${list(handlers)} and keeps local state (${list(state)})`]
+        };
+    }
+    if (handlers.size > 0 || state.size > 0) {
+        return {
+            directive: 'client:visible',
+            reasons: [handlers.size > 0 ? `handles ${list(handlers)} without local state` : `holds local state (${list(state)}) but handles no events`]
+        };
+    }
+    return { directive: null, reasons: ['no event handlers, state or effects: rendered as static HTML'] };
+}
+
+/**
+ * The project modules `file` imports, directly or through each other, as
+ * `{ file, code }` with the code they were converted to: what
+ * chooseDirective needs besides the file itself. Imports are followed
+ * through the `sources` the project had, resolved with `resolve` (see
+ * createResolver); type-only imports ship no code and are skipped.
+ */
+export function importedModules(file, { sources, converted, resolve }) {
+    const modules = [];
+    const seen = new Set([file]);
+    const queue = [file];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        const code = sources.get(current);
+        if (code === undefined) continue;
+        let imports;
+        try {
+            imports = listImports(code, current);
+        } catch {
+            // Parse errors are reported when the file is converted.
+            continue;
+        }
+        for (const { specifier, typeOnly } of imports) {
+            if (typeOnly) continue;
+            const resolved = resolve(specifier, current);
+            if (resolved.kind !== 'file' || seen.has(resolved.file) || !converted.has(resolved.file)) continue;
+            seen.add(resolved.file);
+            modules.push({ file: resolved.file, code: converted.get(resolved.file) });
+            queue.push(resolved.file);
+        }
+    }
+    return modules;
+}
+
+/**
+ * What one module does that needs hydrating: the event handlers it
+ * renders, the state and effect primitives it calls, and the browser
+ * globals and URL hooks it reads while rendering.
+ */
+function collectFacts(code, filePath) {
+    const j = jscodeshift.withParser(filePath.endsWith('.ts') ? 'ts' : 'tsx');
+    const root = j(code);
+
+    const handlers = new Set();
+    root.find(j.JSXAttribute).forEach(path => {
+        const name = path.node.name;
+        if (name.type === 'JSXIdentifier' && /^on[A-Z]/.test(name.name)) handlers.add(name.name);
+        if (name.type === 'JSXNamespacedName' && name.namespace.name === 'on') handlers.add(`on:${name.name.name}`);
+    });
+
+    const called = new Set();
+    root.find(j.CallExpression, { callee: { type: 'Identifier' } }).forEach(path => called.add(path.node.callee.name));
+    const state = new Set([...called].filter(name => STATE_PRIMITIVES.has(name)));
+    const effects = new Set([...called].filter(name => EFFECT_PRIMITIVES.has(name)));
+
+    const renderGlobals = new Set();
+    root.find(j.Identifier).filter(path => BROWSER_GLOBALS.has(path.node.name) && isReference(path)).forEach(path => {
+        if (path.scope.lookup(path.node.name)) return;
+        if (path.parent.node.type === 'UnaryExpression' && path.parent.node.operator === 'typeof') return;
+        if (isRenderPath(path)) renderGlobals.add(path.node.name);
+    });
+
+    const urlHooks = new Set();
+    root.find(j.ImportSpecifier).filter(path => URL_HOOKS.has(path.node.imported.name)).forEach(path => urlHooks.add(path.node.local.name));
+    const renderUrlHooks = new Set();
+    root.find(j.CallExpression, { callee: { type: 'Identifier' } })
+        .filter(path => urlHooks.has(path.node.callee.name) && isRenderPath(path))
+        .forEach(path => renderUrlHooks.add(`${path.node.callee.name}()`));
+
+    return { handlers, state, effects, renderGlobals, renderUrlHooks };
+}
+
+/**
+ * Whether code at `path` runs while the component renders: at module level
+ * or directly in a component body, rather than in a helper or a nested
+ * callback (event handler, effect, timer) that only runs in the browser.
+ */
+function isRenderPath(path) {
+    const functions = [];
+    for (let current = path.parent; current; current = current.parent) {
+        const type = current.node.type;
+        if (type === 'FunctionDeclaration' || type === 'FunctionExpression' || type === 'ArrowFunctionExpression') {
+            functions.push(current);
+        }
+    }
+    if (functions.length === 0) return true;
+    if (functions.length > 1) return false;
+
+    // Components, and the hooks they call while rendering
+    const [fn] = functions;
+    const name = functionName(fn);
+    return fn.parent.node.type === 'ExportDefaultDeclaration' || Boolean(name && /^([A-Z]|(use|create)[A-Z0-9])/.test(name));
+}
+
+/**
+ * ` client:idle` for use in a template, or '' for a static render.
+ */
+export function directiveAttribute(choice) {
+    return choice.directive ? ` ${choice.directive}` : '';
+}
+
+/**
+ * Print which directive each island got and why.
+ */
+export function printHydrationReport(islands) {
+    if (islands.length === 0) return;
+    console.log(chalk.white('\nHydration directives:'));
+    for (const { component, page, directive, reasons } of islands) {
+        console.log(chalk.white(`  • ${component} in ${page}: ${directive || 'static (no directive)'}`));
+        reasons.forEach(reason => console.log(chalk.dim(`      ${reason}`)));
+    }
+}
+
+export async function writeHydrationReport(projectRoot, islands) {
+    await fs.writeJson(path.join(projectRoot, HYDRATION_REPORT), { islands }, { spaces: 2 });
+}
@@ -0,0 +1,377 @@
+import chalk from 'chalk';
+import path from 'path';
+import fs from 'fs-extra';
+import fg from 'fast-glob';
+import jscodeshift from 'jscodeshift';
+import { detectQuoteStyle } from './ast-utils.js';
+import { isStylesheet, listStyleReferences, resolveStyleReference } from './styles.js';
+
+export const IMPORT_REPORT = 'import-report.json';
+
+const CODE_EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js', '.mjs'];
+
+/**
+ * Non-code files components import directly. They are copied along with
+ * the components that use them.
+ */
+const ASSET_FILE = /\.(css|scss|sass|less|json|svg|png|jpe?g|gif|webp|avif|ico|woff2?|ttf|otf|eot)$/;
+
+const PROJECT_IGNORE = ['**/node_modules/**', '.next/**', 'dist/**', 'build/**', 'out/**', '.git/**'];
+
+/**
+ * Where a source file lands in the new project: everything moves under
+ * src/, and a leading src/ or app/ folder is folded into it, so
+ * `components/Nav.tsx`, `src/components/Nav.tsx` and
+ * `app/components/Nav.tsx` all become `src/components/Nav.tsx`.
+ */
+export function toTargetPath(file) {
+    return `src/${file.replace(/^(src|app)\//, '')}`;
+}
+
+/**
+ * toTargetPath for each of `files`, making sure no two land on the same
+ * target, nor on one of the `reserved` targets (a Map of target to the
+ * file that has it). The first file keeps the folded path; a later one
+ * keeps its leading folder (`app/components/Nav.tsx` becomes
+ * `src/app/components/Nav.tsx`) or, failing that, gets a number.
+ * Returns the targets as a Map and the `collisions`, as `{ file, target,
+ * wanted, taken }` where `taken` is the file already at `wanted`.
+ */
+export function assignTargets(files, reserved = new Map()) {
+    const targets = new Map();
+    const owners = new Map(reserved);
+    const collisions = [];
+
+    for (const file of files) {
+        if (targets.has(file)) continue;
+        const wanted = toTargetPath(file);
+        let target = wanted;
+        if (owners.has(wanted) && owners.get(wanted) !== file) {
+            const extension = path.posix.extname(wanted);
+            const base = wanted.slice(0, wanted.length - extension.length);
+            target = `src/${file}`;
+            for (let n = 2; owners.has(target); n++) target = `${base}-${n}${extension}`;
+            collisions.push({ file, target, wanted, taken: owners.get(wanted) });
+        }
+        targets.set(file, target);
+        owners.set(target, file);
+    }
+    return { targets, collisions };
+}
+
+export function isCodeFile(file) {
+    return CODE_EXTENSIONS.includes(path.extname(file));
+}
+
+export function isAssetFile(file) {
+    return ASSET_FILE.test(file);
+}
+
+/**
+ * tsconfig.json allows comments and trailing commas.
+ */
+function parseJsonc(text) {
+    const stripped = text
+        .replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+        .replace(/,(\s*[}\]])/g, '$1');
+    return JSON.parse(stripped);
+}
+
+/**
+ * `compilerOptions.baseUrl` and `paths` from the project's tsconfig.json
+ * (or jsconfig.json), with every location relative to the project root.
+ */
+export async function loadPathAliases(projectRoot) {
+    for (const name of ['tsconfig.json', 'jsconfig.json']) {
+        const configPath = path.join(projectRoot, name);
+        if (!await fs.pathExists(configPath)) continue;
+
+        let config;
+        try {
+            config = parseJsonc(await fs.readFile(configPath, 'utf-8'));
+        } catch {
+            return { baseUrl: null, paths: [] };
+        }
+        const options = config.compilerOptions || {};
+        const baseUrl = options.baseUrl ? path.posix.normalize(options.baseUrl) : null;
+        const paths = Object.entries(options.paths || {}).map(([pattern, targets]) => ({
+            pattern,
+            targets: targets.map(target => path.posix.normalize(path.posix.join(baseUrl || '.', target)))
+        }));
+        return { baseUrl, paths };
+    }
+    return { baseUrl: null, paths: [] };
+}
+
+/**
+ * Every file in the source project, relative to its root, so resolving an
+ * import never touches the file system.
+ */
+export async function listProjectFiles(projectRoot) {
+    return new Set(await fg('**/*', { cwd: projectRoot, onlyFiles: true, dot: false, ignore: PROJECT_IGNORE }));
+}
+
+/**
+ * Resolve import specifiers the way the bundler and TypeScript did in the
+ * source project. Returns `{ kind: 'file', file }` for project files,
+ * `{ kind: 'next' }` for next/* modules, `{ kind: 'package' }` for other
+ * bare specifiers and `{ kind: 'unresolved' }` when nothing matches.
+ */
+export function createResolver(files, aliases) {
+    const lookup = base => {
+        const candidates = [
+            base,
+            ...CODE_EXTENSIONS.map(extension => `${base}${extension}`),
+            ...CODE_EXTENSIONS.map(extension => `${base}/index${extension}`)
+        ];
+        return candidates.map(candidate => path.posix.normalize(candidate)).find(candidate => files.has(candidate)) || null;
+    };
+
+    return (specifier, fromFile) => {
+        if (specifier.startsWith('.')) {
+            const file = lookup(path.posix.join(path.posix.dirname(fromFile), specifier));
+            return file ? { kind: 'file', file } : { kind: 'unresolved' };
+        }
+
+        for (const { pattern, targets } of aliases.paths) {
+            const match = matchAlias(pattern, specifier);
+            if (match === null) continue;
+            for (const target of targets) {
+                const file = lookup(target.replace('*', match));
+                if (file) return { kind: 'file', file };
+            }
+            return { kind: 'unresolved' };
+        }
+
+        if (aliases.baseUrl) {
+            const file = lookup(path.posix.join(aliases.baseUrl, specifier));
+            if (file) return { kind: 'file', file };
+        }
+        if (specifier === 'next' || specifier.startsWith('next/')) return { kind: 'next' };
+        if (specifier.startsWith('/')) return { kind: 'unresolved' };
+        return { kind: 'package' };
+    };
+}
+
+/**
+ * The part of `specifier` matched by the `*` of an alias pattern, '' for an
+ * exact match, or null.
+ */
+function matchAlias(pattern, specifier) {
+    const star = pattern.indexOf('*');
+    if (star === -1) return pattern === specifier ? '' : null;
+    const prefix = pattern.slice(0, star);
+    const suffix = pattern.slice(star + 1);
+    if (!specifier.startsWith(prefix) || !specifier.endsWith(suffix) || specifier.length < prefix.length + suffix.length) return null;
+    return specifier.slice(prefix.length, specifier.length - suffix.length);
+}
+
+/**
+ * Paths of every static import, re-export, dynamic import() and require()
+ * with a string literal, as `{ path, specifier }` where `path` is the
+ * string literal's node path.
+ */
+function findImportSources(j, root) {
+    const sources = [];
+    const add = path => {
+        if (path && path.node && (path.node.type === 'StringLiteral' || path.node.type === 'Literal') && typeof path.node.value === 'string') {
+            sources.push({ path, specifier: path.node.value });
+        }
+    };
+
+    root.find(j.ImportDeclaration).forEach(path => add(path.get('source')));
+    root.find(j.ExportNamedDeclaration).filter(path => Boolean(path.node.source)).forEach(path => add(path.get('source')));
+    root.find(j.ExportAllDeclaration).forEach(path => add(path.get('source')));
+    root.find(j.CallExpression).filter(path => {
+        const callee = path.node.callee;
+        return callee.type === 'Import' || (callee.type === 'Identifier' && callee.name === 'require');
+    }).forEach(path => add(path.get('arguments', 0)));
+
+    return sources;
+}
+
+function parserFor(file) {
+    return jscodeshift.withParser(file.endsWith('.ts') ? 'ts' : 'tsx');
+}
+
+/**
+ * The import specifiers of a file, with the line each one is on and
+ * whether only types are imported (`import type`).
+ */
+export function listImports(code, file) {
+    const j = parserFor(file);
+    return findImportSources(j, j(code)).map(({ path, specifier }) => ({
+        specifier,
+        line: path.node.loc ? path.node.loc.start.line : null,
+        typeOnly: path.parent.node.importKind === 'type' || path.parent.node.exportKind === 'type'
+    }));
+}
+
+/**
+ * The npm package a bare specifier comes from: `@scope/name` or `name`.
+ */
+export function packageOf(specifier) {
+    const parts = specifier.split('/');
+    return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Follow imports from `entries` through the source project, and the
+ * url() and @import references of the stylesheets reached. Project files
+ * reached that are not entries themselves are returned as `dependencies`
+ * (code) or `assets` (styles, images, fonts, JSON).
+ */
+export async function buildImportGraph(projectRoot, entries, resolve) {
+    const known = new Set(entries);
+    const queue = [...entries];
+    const dependencies = [];
+    const assets = new Set();
+
+    while (queue.length > 0) {
+        const file = queue.shift();
+        let references;
+        try {
+            const code = await fs.readFile(path.join(projectRoot, file), 'utf-8');
+            if (isStylesheet(file)) {
+                references = listStyleReferences(code).map(({ specifier }) => resolveStyleReference(resolve, specifier, file));
+            } else {
+                const j = parserFor(file);
+                references = findImportSources(j, j(code)).map(({ specifier }) => resolve(specifier, file));
+            }
+        } catch {
+            // Parse errors are reported when the file is converted.
+            continue;
+        }
+
+        for (const resolved of references) {
+            if (resolved.kind === 'file' && !known.has(resolved.file)) {
+                known.add(resolved.file);
+                if (isCodeFile(resolved.file)) {
+                    dependencies.push(resolved.file);
+                    queue.push(resolved.file);
+                } else if (isAssetFile(resolved.file)) {
+                    assets.add(resolved.file);
+                    if (isStylesheet(resolved.file)) queue.push(resolved.file);
+                }
+            }
+        }
+    }
+
+    return { dependencies, assets: [...assets] };
+}
+
+/**
+ * Point the imports of a migrated file at the new layout. `sourceFile` is
+ * where the file was in the source project; `targets` maps every migrated
+ * source file to its path in the new project, and `aliases` are the new
+ * tsconfig paths. Imports that used an alias keep using one when a new
+ * alias covers the target; everything else becomes a relative path.
+ * `generated` maps the specifiers of generated modules (see next-shims.js)
+ * to where they are written.
+ * Returns the new code, the imports left pointing nowhere (missing files,
+ * and next/* modules the conversion did not replace) and the generated
+ * modules the file imports.
+ */
+export function rewriteImports(code, sourceFile, { resolve, targets, aliases, generated = new Map() }) {
+    const targetFile = targets.get(sourceFile);
+    const j = parserFor(targetFile);
+    const root = j(code);
+    const unresolved = [];
+    const imported = [];
+    let changed = false;
+
+    for (const { path: literal, specifier } of findImportSources(j, root)) {
+        let target;
+        let keepExtension = false;
+        if (generated.has(specifier)) {
+            target = generated.get(specifier);
+            imported.push(target);
+        } else {
+            const resolved = resolve(specifier, sourceFile);
+            if (resolved.kind === 'unresolved') {
+                unresolved.push({ file: sourceFile, specifier, reason: 'no matching file in the source project' });
+            } else if (resolved.kind === 'next') {
+                unresolved.push({ file: sourceFile, specifier, reason: 'Next.js module with no Astro equivalent' });
+            }
+            if (resolved.kind !== 'file' || !targets.has(resolved.file)) continue;
+            target = targets.get(resolved.file);
+            keepExtension = path.posix.extname(specifier) !== '' && isCodeFile(specifier) || !isCodeFile(resolved.file);
+        }
+        const bare = keepExtension ? target : target.replace(/\.(tsx|ts|jsx|js|mjs)$/, '').replace(/\/index$/, '');
+
+        let updated = null;
+        if (!specifier.startsWith('.') && !generated.has(specifier)) updated = toAlias(bare, aliases, specifier);
+        if (!updated) {
+            updated = path.posix.relative(path.posix.dirname(targetFile), bare);
+            if (!updated.startsWith('.')) updated = `./${updated}`;
+        }
+
+        if (updated !== specifier) {
+            literal.node.value = updated;
+            if (literal.node.extra) literal.node.extra = { ...literal.node.extra, raw: JSON.stringify(updated), rawValue: updated };
+            changed = true;
+        }
+    }
+
+    return {
+        code: changed ? root.toSource({ quote: detectQuoteStyle(code), arrowParensAlways: true }) : code,
+        unresolved,
+        generated: imported
+    };
+}
+
+/**
+ * `src/components/Nav` as an alias import, e.g. `@/components/Nav`. The
+ * alias the import was written with wins when it still covers the file.
+ */
+function toAlias(file, aliases, specifier) {
+    const used = ([pattern]) => specifier.startsWith(pattern.slice(0, -1));
+    const entries = Object.entries(aliases);
+    for (const [pattern, [target]] of [...entries.filter(used), ...entries.filter(entry => !used(entry))]) {
+        if (!pattern.endsWith('/*') || !target.endsWith('/*')) continue;
+        const dir = target.slice(0, -1);
+        if (file.startsWith(dir)) return `${pattern.slice(0, -1)}${file.slice(dir.length)}`;
+    }
+    return null;
+}
+
+/**
+ * tsconfig `paths` for the new project: every wildcard alias of the source
+ * project, pointed at where its folder ended up.
+ */
+export function astroPathAliases(aliases) {
+    const paths = {};
+    for (const { pattern, targets } of aliases.paths) {
+        const [target] = targets;
+        if (!pattern.endsWith('/*') || !target) continue;
+        // './*' normalizes to '*': the project root itself
+        if (target === '*') {
+            paths[pattern] = ['src/*'];
+        } else if (target.endsWith('/*')) {
+            paths[pattern] = [`${toTargetPath(target.slice(0, -1)).replace(/\/$/, '')}/*`];
+        }
+    }
+    return paths;
+}
+
+export function printImportReport(unresolved) {
+    if (unresolved.length === 0) return;
+    console.log(chalk.yellow('\nUnresolved imports (fix these by hand):'));
+    for (const { file, specifier, reason } of unresolved) {
+        console.log(chalk.yellow(`  • ${file}: '${specifier}' - ${reason}`));
+    }
+}
+
+/**
+ * Tell which files would have overwritten another one in the new project
+ * (see assignTargets) and where they went instead.
+ */
+export function printTargetCollisions(collisions) {
+    for (const { file, target, wanted, taken } of collisions) {
+        console.log(chalk.yellow(`! ${file} and ${taken} both belong at ${wanted}; ${file} goes to ${target} instead`));
+    }
+}
+
+export async function writeImportReport(projectRoot, unresolved, collisions = []) {
+    await fs.writeJson(path.join(projectRoot, IMPORT_REPORT), { unresolved, collisions }, { spaces: 2 });
+}
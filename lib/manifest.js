@@ -0,0 +1,201 @@
+import { createHash } from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+
+/**
+ * State of a migration, kept in the new project so a rerun (or a run
+ * resuming after a crash) only redoes what changed. Keyed by the path each
+ * file was written to, relative to the project root:
+ *
+ *   { version, files: { 'src/components/Nav.tsx': { source, sourceHash,
+ *     outputHash, status, ...details } } }
+ *
+ * `source` and `sourceHash` are null for generated files (Astro pages,
+ * layouts, shims). `details` is whatever a later step needs from the
+ * conversion without redoing it, such as the transforms that ran. The
+ * diff a model made to a file (`modelPatch`) can be long, so it is kept
+ * under PATCH_DIR and the entry only names it (`modelPatchFile`).
+ */
+export const MANIFEST_FILE = '.migration-manifest.json';
+
+/** Where the model patches of the manifest's files are kept. */
+export const PATCH_DIR = '.migration-patches';
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * How long recorded files may wait to be saved together. Recording a file
+ * rewrites the whole manifest, so saving after every file would make a
+ * large migration's I/O grow with the square of its size.
+ */
+const SAVE_DELAY = 500;
+
+/** Per manifest: the save in progress, the one scheduled and its error. */
+const saves = new WeakMap();
+
+/** Statuses after which a rerun converts the file again. */
+const RETRY = new Set(['pending', 'failed', 'quarantined']);
+
+export function hashContent(content) {
+    return createHash('sha256').update(content).digest('hex');
+}
+
+export function createManifest() {
+    return { version: MANIFEST_VERSION, files: {} };
+}
+
+/**
+ * The manifest of an earlier run into `projectRoot`, or null when there
+ * was none. A manifest from another version of the tool is ignored, so
+ * everything is converted again.
+ */
+export async function loadManifest(projectRoot) {
+    const file = path.join(projectRoot, MANIFEST_FILE);
+    if (!await fs.pathExists(file)) return null;
+    const manifest = await fs.readJson(file);
+    return manifest.version === MANIFEST_VERSION ? manifest : createManifest();
+}
+
+/**
+ * Written to a temporary file first, so a crash never leaves a truncated
+ * manifest behind. Saves of the same manifest run one after the other.
+ */
+export async function saveManifest(projectRoot, manifest) {
+    const state = saveState(manifest);
+    state.saving = state.saving.catch(() => {}).then(async () => {
+        const file = path.join(projectRoot, MANIFEST_FILE);
+        await fs.ensureDir(projectRoot);
+        await fs.writeFile(`${file}.tmp`, `${JSON.stringify(manifest, null, 2)}\n`);
+        await fs.rename(`${file}.tmp`, file);
+    });
+    return state.saving;
+}
+
+/**
+ * Save whatever was recorded since the last save, and wait for it. Call it
+ * when a run is done; until then recorded files are saved SAVE_DELAY
+ * apart. Throws the error of a save that failed in the meantime.
+ */
+export async function flushManifest(projectRoot, manifest) {
+    const state = saveState(manifest);
+    if (state.timer) {
+        clearTimeout(state.timer);
+        state.timer = null;
+        await saveManifest(projectRoot, manifest);
+    }
+    await state.saving;
+    if (state.error) {
+        const { error } = state;
+        state.error = null;
+        throw error;
+    }
+}
+
+function saveState(manifest) {
+    if (!saves.has(manifest)) saves.set(manifest, { saving: Promise.resolve(), timer: null, error: null });
+    return saves.get(manifest);
+}
+
+/** Save `manifest` SAVE_DELAY from now, along with whatever else is recorded until then. */
+function scheduleSave(projectRoot, manifest) {
+    const state = saveState(manifest);
+    if (state.timer) return;
+    state.timer = setTimeout(() => {
+        state.timer = null;
+        saveManifest(projectRoot, manifest).catch(error => {
+            state.error = error;
+        });
+    }, SAVE_DELAY);
+}
+
+function patchFile(target) {
+    return path.posix.join(PATCH_DIR, `${target}.patch`);
+}
+
+/**
+ * What a rerun should do with `target`, given the `source` it comes from
+ * (omitted for generated files):
+ * - 'convert': new, changed since the last run, or failed last time,
+ * - 'unchanged': converted from the same source and not touched since,
+ * - 'edited': changed by hand after it was written; left alone.
+ * Returns `{ action, entry, output }`, with the current output when kept.
+ */
+export async function checkFile(projectRoot, manifest, target, source) {
+    const entry = manifest.files[target];
+    const outputPath = path.join(projectRoot, target);
+    if (!entry || RETRY.has(entry.status) || !await fs.pathExists(outputPath)) {
+        return { action: 'convert', entry: entry || null, output: null };
+    }
+
+    const output = await fs.readFile(outputPath, 'utf-8');
+    if (hashContent(output) !== entry.outputHash) {
+        return { action: 'edited', entry: await withModelPatch(projectRoot, entry), output };
+    }
+    if (source !== undefined && hashContent(source) !== entry.sourceHash) {
+        return { action: 'convert', entry, output: null };
+    }
+    return { action: 'unchanged', entry: await withModelPatch(projectRoot, entry), output };
+}
+
+/** `entry` with the text of its model patch, for reporting a file kept from an earlier run. */
+async function withModelPatch(projectRoot, entry) {
+    if (!entry.modelPatchFile) return entry;
+    const file = path.join(projectRoot, entry.modelPatchFile);
+    return { ...entry, modelPatch: await fs.pathExists(file) ? await fs.readFile(file, 'utf-8') : null };
+}
+
+/**
+ * Record how `target` was produced. The manifest is saved shortly after
+ * (see flushManifest), along with the files recorded in the meantime: an
+ * interrupted run picks up after the last files saved, and converts the
+ * others again.
+ */
+export async function recordFile(projectRoot, manifest, target, { file = null, source = null, output = null, status, modelPatch = null, ...details }) {
+    const previous = manifest.files[target];
+    const modelPatchFile = modelPatch === null ? null : patchFile(target);
+    if (modelPatchFile) {
+        await fs.outputFile(path.join(projectRoot, modelPatchFile), modelPatch);
+    } else if (previous && previous.modelPatchFile) {
+        await fs.remove(path.join(projectRoot, previous.modelPatchFile));
+    }
+
+    manifest.files[target] = {
+        source: file,
+        sourceHash: source === null ? null : hashContent(source),
+        outputHash: output === null ? null : hashContent(output),
+        status,
+        ...details,
+        ...(modelPatchFile ? { modelPatchFile } : {})
+    };
+    scheduleSave(projectRoot, manifest);
+}
+
+/**
+ * Write `content` to `target` and record it with `details` (see
+ * recordFile). Overwriting the output of an earlier run, the entry is
+ * saved as pending first, so a crash between the two is retried on the
+ * next run rather than taken for a hand edit. A new file needs no such
+ * care: without an entry it is converted again anyway.
+ */
+export async function writeRecorded(projectRoot, manifest, target, content, details) {
+    const previous = manifest.files[target];
+    if (previous && !RETRY.has(previous.status)) {
+        manifest.files[target] = { ...previous, status: 'pending' };
+        await saveManifest(projectRoot, manifest);
+    }
+    await fs.ensureDir(path.dirname(path.join(projectRoot, target)));
+    await fs.writeFile(path.join(projectRoot, target), content);
+    await recordFile(projectRoot, manifest, target, { ...details, output: content });
+}
+
+/**
+ * Write a generated file unless it was edited by hand since the last run.
+ * Returns 'written', 'unchanged' (already there as is) or 'edited'.
+ */
+export async function writeOutput(projectRoot, manifest, target, content) {
+    const { action, entry } = await checkFile(projectRoot, manifest, target);
+    if (action === 'edited') return 'edited';
+    if (action === 'unchanged' && entry.outputHash === hashContent(content)) return 'unchanged';
+    await writeRecorded(projectRoot, manifest, target, content, { status: 'generated' });
+    return 'written';
+}
@@ -0,0 +1,917 @@
+import chalk from 'chalk';
+import path from 'path';
+import fs from 'fs-extra';
+import fg from 'fast-glob';
+import { runCommand } from './cli.js';
+import { createConversionOptions, needsConversion } from './convert.js';
+import { convertedMessage, convertHybrid } from './hybrid.js';
+import { createProvider } from './providers/index.js';
+import { createProgress, DEFAULT_CONCURRENCY, runPool } from './pool.js';
+import { loadPlugins, matchCategories, runAfterScaffold } from './plugins.js';
+import { collectCustomHooks } from './custom-hooks.js';
+import { createFilePatch, printDryRunSummary, printPatch, writePatches } from './dry-run.js';
+import { createTemplate, renderEnvTypes, renderWranglerToml, scaffoldProject } from './scaffold.js';
+import { discoverRoutes, renderRoutes } from './routes.js';
+import { convertEndpoint } from './endpoints.js';
+import { chooseDirective, directiveAttribute, HYDRATION_REPORT, importedModules, printHydrationReport, writeHydrationReport } from './hydration.js';
+import {
+    assignTargets, astroPathAliases, buildImportGraph, createResolver, IMPORT_REPORT, listProjectFiles, loadPathAliases,
+    printImportReport, printTargetCollisions, rewriteImports, writeImportReport
+} from './imports.js';
+import { GENERATED_MODULES } from './next-shims.js';
+import { findGlobalStylesheets, findStyleConfigs, isStylesheet, migrateStyleConfig, rewriteStyleReferences } from './styles.js';
+import { analyzePackages, PACKAGE_REPORT, printPackageReport, writePackageReport } from './packages.js';
+import { createMigrationReport, MIGRATION_HTML, MIGRATION_REPORT, printMigrationReport, writeMigrationReport } from './report.js';
+import { printValidationReport, QUARANTINE_DIR, quarantine, TYPESCRIPT_VERSION, validateOutputs } from './validate.js';
+import {
+    checkFile, createManifest, flushManifest, hashContent, loadManifest, MANIFEST_FILE, recordFile, writeOutput, writeRecorded
+} from './manifest.js';
+
+// Common React project patterns
+const DEFAULT_SEARCH_PATHS = [
+    'src/components/**/*.{tsx,jsx,js}',
+    'app/components/**/*.{tsx,jsx,js}',
+    'components/**/*.{tsx,jsx,js}',
+    'src/hooks/**/*.{tsx,jsx,js}',
+    'app/hooks/**/*.{tsx,jsx,js}',
+    'hooks/**/*.{tsx,jsx,js}',
+    'src/utils/**/*.{tsx,jsx,js}',
+    'app/utils/**/*.{tsx,jsx,js}',
+    'utils/**/*.{tsx,jsx,js}',
+    'src/lib/**/*.{tsx,jsx,js}',
+    'app/lib/**/*.{tsx,jsx,js}',
+    'lib/**/*.{tsx,jsx,js}'
+];
+
+const DEFAULT_IGNORE = ['**/*.stories.*', '**/*.test.*', '**/*.spec.*', '**/node_modules/**'];
+
+/**
+ * Enhanced file discovery with better React project understanding.
+ * `searchGlobs` replaces the default patterns; `ignore` adds to the default ignores.
+ * Files matched by the category patterns of `plugins` are added, in their category.
+ */
+export async function discoverProjectStructure(projectRoot, { searchGlobs, ignore = [], plugins = [] } = {}) {
+    const structure = {
+        components: [],
+        hooks: [],
+        utils: [],
+        routes: { pages: [], layouts: [], endpoints: [] },
+        dependencies: [],
+        assets: [],
+        // Imported by the Pages Router _app, so by every page
+        globalStylesheets: [],
+        styleConfigs: [],
+        imports: null,
+        packages: { dependencies: {}, mapped: [], blocking: [] },
+        public: null,
+        packageJson: null
+    };
+    
+    const searchPaths = searchGlobs || DEFAULT_SEARCH_PATHS;
+
+    const categories = new Map();
+    for (const pattern of searchPaths) {
+        const files = await fg([pattern], { 
+            cwd: projectRoot, 
+            onlyFiles: true,
+            ignore: [...DEFAULT_IGNORE, ...ignore]
+        });
+        
+        for (const file of files) {
+            categories.set(file, determineFileCategory(file));
+        }
+    }
+    const pluginCategories = await matchCategories(plugins, projectRoot, [...DEFAULT_IGNORE, ...ignore]);
+    pluginCategories.forEach((category, file) => categories.set(file, category));
+    categories.forEach((category, file) => structure[category].push(file));
+    
+    // Next.js app/ and pages/ routes become Astro pages
+    structure.routes = await discoverRoutes(projectRoot, { ignore });
+
+    // Follow imports to the files everything above depends on
+    const aliases = await loadPathAliases(projectRoot);
+    const resolve = createResolver(await listProjectFiles(projectRoot), aliases);
+    const entries = [
+        ...structure.components,
+        ...structure.hooks,
+        ...structure.utils,
+        ...routeFilesOf(structure.routes),
+        ...structure.routes.endpoints.map(({ file }) => file)
+    ];
+    structure.globalStylesheets = await findGlobalStylesheets(projectRoot, resolve);
+    const graph = await buildImportGraph(projectRoot, [...entries, ...structure.globalStylesheets], resolve);
+    structure.dependencies = graph.dependencies;
+    structure.assets = [...structure.globalStylesheets, ...graph.assets];
+    structure.imports = { aliases, resolve };
+
+    // Find public directory
+    const publicCandidates = ['public', 'app/public', 'src/public'];
+    for (const candidate of publicCandidates) {
+        const fullPath = path.join(projectRoot, candidate);
+        if (await fs.pathExists(fullPath)) {
+            structure.public = candidate;
+            break;
+        }
+    }
+    
+    // Find package.json
+    const packagePath = path.join(projectRoot, 'package.json');
+    if (await fs.pathExists(packagePath)) {
+        structure.packageJson = await fs.readJson(packagePath);
+    }
+
+    // React-only packages the migrated files import, and their Solid ports
+    const migrated = await readSources(projectRoot, [...entries, ...structure.dependencies]);
+    structure.packages = analyzePackages(migrated, structure.packageJson, resolve);
+
+    // Tailwind and PostCSS configs, and the packages they load
+    const styles = await findStyleConfigs(projectRoot, structure.packageJson);
+    structure.styleConfigs = styles.configs;
+    Object.assign(structure.packages.dependencies, styles.dependencies);
+    
+    return structure;
+}
+
+function determineFileCategory(filePath) {
+    if (filePath.includes('/components/') || filePath.includes('\\components\\')) return 'components';
+    if (filePath.includes('/hooks/') || filePath.includes('\\hooks\\')) return 'hooks';
+    if (filePath.includes('/utils/') || filePath.includes('/lib/')) return 'utils';
+    return 'components'; // default
+}
+
+async function readSources(projectRoot, files) {
+    return Promise.all(files.map(async file => ({
+        file,
+        code: await fs.readFile(path.join(projectRoot, file), 'utf-8')
+    })));
+}
+
+/**
+ * Every Next.js page and layout, with the path its Solid component is written to.
+ */
+function routeEntriesOf(routes) {
+    return [...routes.layouts, ...routes.pages];
+}
+
+function routeFilesOf(routes) {
+    return routeEntriesOf(routes).map(({ file }) => file);
+}
+
+/**
+ * Where each migrated file goes in the new project, the tsconfig paths
+ * carried over from the source project, and a function rewriting the
+ * imports of a migrated file for its new place. `unresolved` collects the
+ * imports the rewritten files still cannot resolve, and `generated` the
+ * generated modules (next-shims.js) they import. `importsOf` gives what
+ * rewriting one file found, for the manifest, and `restoreImports` adds it
+ * back for a file kept from an earlier run.
+ */
+function planImports(projectStructure) {
+    // Routes and endpoints have their places; the other files fit around them
+    const routeTargets = new Map([
+        ...routeEntriesOf(projectStructure.routes).map(({ file, component }) => [component, file]),
+        ...projectStructure.routes.endpoints.map(({ file, page }) => [page, file])
+    ]);
+    const { targets, collisions } = assignTargets([
+        ...projectStructure.components,
+        ...projectStructure.hooks,
+        ...projectStructure.utils,
+        ...projectStructure.dependencies,
+        ...projectStructure.assets
+    ], routeTargets);
+    routeTargets.forEach((file, target) => targets.set(file, target));
+
+    const { resolve, aliases } = projectStructure.imports;
+    const paths = astroPathAliases(aliases);
+    const modules = new Map(GENERATED_MODULES.map(module => [module.specifier, module.file]));
+    const unresolved = [];
+    const generated = new Set();
+    const byFile = new Map();
+    const restoreImports = ({ unresolved: missing = [], generated: used = [] }) => {
+        unresolved.push(...missing);
+        used.forEach(module => generated.add(module));
+    };
+    const rewrite = (code, file) => {
+        const result = rewriteImports(code, file, { resolve, targets, aliases: paths, generated: modules });
+        byFile.set(file, { unresolved: result.unresolved, generated: result.generated });
+        restoreImports(result);
+        return result.code;
+    };
+    const importsOf = file => byFile.get(file) || { unresolved: [], generated: [] };
+    return { targets, collisions, paths, rewrite, unresolved, generated, importsOf, restoreImports };
+}
+
+/**
+ * Dry run: convert every file in memory and print (or write) a unified diff
+ * per converted file. Nothing is scaffolded, installed or written to the
+ * new project.
+ */
+async function runDryRun({ oldProjectRoot, projectStructure, conversionOptions, provider, patchDir, concurrency }) {
+    console.log(chalk.blue('\n🔄 Converting React components to SolidJS in memory (dry run)...'));
+
+    const allFiles = [
+        ...projectStructure.components,
+        ...projectStructure.hooks,
+        ...projectStructure.utils,
+        ...projectStructure.dependencies
+    ];
+    const sources = await readSources(oldProjectRoot, allFiles);
+    const { targets, collisions, rewrite, unresolved, generated } = planImports(projectStructure);
+    printTargetCollisions(collisions);
+    const routeFiles = await readSources(oldProjectRoot, routeFilesOf(projectStructure.routes));
+    conversionOptions.customHooks = collectCustomHooks([...sources, ...routeFiles]);
+
+    const results = {
+        patches: [],
+        skipped: [],
+        failed: [],
+        generated: [
+            ...Object.keys(createTemplate({ name: 'project', cloudflareName: 'project' })),
+            'src/layouts/Layout.astro'
+        ]
+    };
+
+    // What each file would become, for picking hydration directives
+    const outputs = new Map();
+    // Converted alongside each other, collected in order (see runPool)
+    const convert = (file, code, options) => convertHybrid(code, file, options, provider).then(
+        converted => ({ converted }),
+        error => ({ error })
+    );
+    let progress = createProgress(sources.length);
+    await runPool(sources, ({ file, code }) => {
+        if (!needsConversion(code, conversionOptions.customHooks)) return { converted: { code } };
+        return convert(file, code, conversionOptions);
+    }, { concurrency, onSettled: () => progress.tick(), commit: ({ converted, error }, { file, code }) => {
+        try {
+            if (error) throw error;
+            const rewrittenCode = rewrite(converted.code, file);
+            outputs.set(file, rewrittenCode);
+            if (rewrittenCode === code) {
+                results.skipped.push(file);
+                return;
+            }
+            results.patches.push({ file, patch: createFilePatch(file, targets.get(file), code, rewrittenCode) });
+        } catch (error) {
+            results.failed.push({ file, error: error.message });
+        }
+    } });
+    progress.done();
+
+    const convertedRoutes = new Map();
+    const heads = new Map();
+    const documents = new Map();
+    progress = createProgress(routeFiles.length);
+    await runPool(routeFiles, ({ file, code }) => convert(file, code, { ...conversionOptions, liftHead: true }), {
+        concurrency,
+        onSettled: () => progress.tick(),
+        commit: ({ converted, error }, { file, code }) => {
+            try {
+                if (error) throw error;
+                const convertedCode = rewrite(converted.code, file);
+                convertedRoutes.set(file, convertedCode);
+                heads.set(file, converted.head);
+                documents.set(file, converted.document);
+                results.patches.push({ file, patch: createFilePatch(file, targets.get(file), code, convertedCode) });
+            } catch (error) {
+                results.failed.push({ file, error: error.message });
+            }
+        }
+    });
+    progress.done();
+
+    const sourceCode = new Map([...sources, ...routeFiles].map(({ file, code }) => [file, code]));
+    const converted = new Map([...outputs, ...convertedRoutes]);
+    const routePages = renderRoutes(projectStructure.routes, convertedRoutes, heads, documents,
+        file => importedModules(file, { sources: sourceCode, converted, resolve: projectStructure.imports.resolve }));
+    results.generated.push(...routePages.map(({ file }) => file));
+    if (!routePages.some(({ file }) => file === 'src/pages/index.astro')) {
+        results.generated.push('src/pages/index.astro');
+    }
+    if (projectStructure.public) {
+        results.generated.push(`public/ (copied from ${projectStructure.public})`);
+    }
+    results.generated.push(...projectStructure.assets.map(file => `${targets.get(file)} (copied from ${file})`));
+    results.generated.push(...projectStructure.styleConfigs.map(({ file, target }) => `${target} (migrated from ${file})`));
+
+    const envVars = new Set();
+    for (const endpoint of projectStructure.routes.endpoints) {
+        const code = await fs.readFile(path.join(oldProjectRoot, endpoint.file), 'utf-8');
+        try {
+            const converted = convertEndpoint(code, endpoint.file, endpoint.kind);
+            results.patches.push({ file: endpoint.file, patch: createFilePatch(endpoint.file, endpoint.page, code, rewrite(converted.code, endpoint.file)) });
+            converted.env.forEach(name => envVars.add(name));
+        } catch (error) {
+            results.failed.push({ file: endpoint.file, error: error.message });
+        }
+    }
+    if (envVars.size > 0) {
+        results.generated.push(`wrangler.toml [vars]: ${[...envVars].sort().join(', ')}`);
+    }
+    results.generated.push(...generated);
+    const added = Object.entries(projectStructure.packages.dependencies);
+    if (added.length > 0) {
+        results.generated.push(`package.json dependencies: ${added.map(([name, version]) => `${name}@${version}`).join(', ')}`);
+    }
+
+    if (patchDir) {
+        await writePatches(results.patches, path.resolve(patchDir));
+        console.log(chalk.green(`✔ Wrote ${results.patches.length} patches to ${patchDir}`));
+    } else {
+        results.patches.forEach(({ patch }) => printPatch(patch));
+    }
+
+    printDryRunSummary(results);
+    printHydrationReport(routePages.map(({ island }) => island));
+    printImportReport(unresolved);
+    printPackageReport(projectStructure.packages);
+    return results;
+}
+
+/**
+ * Migrate the React project at `options.source` into a new Astro + SolidJS
+ * project at `options.out`, as solid_migration_tool.js does, without
+ * prompting. Options (the config file keys, see cli.js):
+ * - source, out, cloudflareName (defaults to the basename of `out`)
+ * - strictEffects, controlFlow, transforms: { enable, disable }
+ * - entryComponent, or chooseEntryComponent(choices), resolving to one of
+ *   the converted components for the homepage (the first by default)
+ * - searchGlobs, ignore, install, typeCheck
+ * - provider: a provider name (with `model` and `rateLimit`, model requests
+ *   per minute) or object, see providers/index.js
+ * - concurrency: how many files are converted at once (see pool.js)
+ * - plugins: plugin objects or module paths, see plugins.js
+ * - dryRun, patchDir
+ * - cwd: what relative paths are resolved against
+ *
+ * Resolves to `{ projectRoot, report, results }`, with the migration report
+ * (report.js) and the per-file results; a dry run resolves to its results
+ * only. Throws when the migration cannot go on.
+ */
+export async function migrate(options = {}) {
+    const {
+        source: oldProjectDir = '.',
+        out: newProjectName,
+        searchGlobs,
+        ignore,
+        install = false,
+        typeCheck = false,
+        model,
+        rateLimit,
+        concurrency = DEFAULT_CONCURRENCY,
+        dryRun = false,
+        patchDir = null,
+        chooseEntryComponent = async choices => choices[0],
+        cwd = process.cwd()
+    } = options;
+    if (!dryRun && !newProjectName) {
+        throw new Error('No project to create: set out');
+    }
+    const cloudflareProjectName = options.cloudflareName || (newProjectName && path.basename(newProjectName));
+    const provider = typeof options.provider === 'string' ? createProvider(options.provider, { model, rateLimit }) : options.provider || null;
+    const conversionOptions = await createConversionOptions(options, cwd);
+    const { plugins } = conversionOptions;
+    const oldProjectRoot = path.resolve(cwd, oldProjectDir);
+    const newProjectRoot = dryRun ? null : path.resolve(cwd, newProjectName);
+
+    if (!await fs.pathExists(oldProjectRoot)) {
+        throw new Error(`Source directory not found at ${oldProjectRoot}`);
+    }
+
+    // Step 1: Analyze existing project
+    console.log(chalk.blue('\n📊 Step 1: Analyzing your React project structure...'));
+    const projectStructure = await discoverProjectStructure(oldProjectRoot, { searchGlobs, ignore, plugins });
+    conversionOptions.resolveImport = projectStructure.imports.resolve;
+    
+    console.log(chalk.green(`✔ Found ${projectStructure.components.length} components`));
+    console.log(chalk.green(`✔ Found ${projectStructure.hooks.length} hooks`));
+    console.log(chalk.green(`✔ Found ${projectStructure.utils.length} utilities`));
+    console.log(chalk.green(`✔ Found ${projectStructure.routes.pages.length} routes and ${projectStructure.routes.layouts.length} layouts`));
+    console.log(chalk.green(`✔ Found ${projectStructure.dependencies.length} other imported modules and ${projectStructure.assets.length} imported assets`));
+    if (projectStructure.packages.blocking.length > 0) {
+        console.log(chalk.yellow(`! Found ${projectStructure.packages.blocking.length} imports of React-only packages (listed at the end)`));
+    }
+    if (projectStructure.public) {
+        console.log(chalk.green(`✔ Found public assets at: ${projectStructure.public}`));
+    }
+
+    if (dryRun) {
+        const results = await runDryRun({ oldProjectRoot, projectStructure, conversionOptions, provider, patchDir, concurrency });
+        return { projectRoot: null, report: null, results };
+    }
+
+    // Step 2: Create new Astro project from the built-in template
+    console.log(chalk.blue('\n🏗️  Step 2: Creating new Astro project...'));
+    const { targets, collisions, paths, rewrite, unresolved, generated, importsOf, restoreImports } = planImports(projectStructure);
+    printTargetCollisions(collisions);
+    // A rerun into the same directory picks up where the last run left off
+    const previousManifest = await loadManifest(newProjectRoot);
+    const manifest = previousManifest || createManifest();
+    if (previousManifest) {
+        console.log(chalk.yellow(`↻ Found ${MANIFEST_FILE}: only new, changed and failed files are converted again`));
+    }
+    const written = await scaffoldProject(newProjectRoot, {
+        name: newProjectName,
+        cloudflareName: cloudflareProjectName,
+        paths,
+        dependencies: typeCheck
+            ? { ...projectStructure.packages.dependencies, typescript: TYPESCRIPT_VERSION }
+            : projectStructure.packages.dependencies
+    }, { manifest, resume: Boolean(previousManifest) });
+    console.log(chalk.green(written.length > 0 ? `✔ Wrote ${written.join(', ')}` : '✔ Project files are up to date'));
+    await runAfterScaffold(plugins, { projectRoot: newProjectRoot, sourceRoot: oldProjectRoot, options, written });
+
+    // Step 3: Install dependencies (optional, needs network access)
+    if (install) {
+        console.log(chalk.blue('\n📦 Step 3: Installing dependencies...'));
+        runCommand('npm install', newProjectRoot);
+    } else {
+        console.log(chalk.yellow('\n📦 Step 3: Skipping dependency install (run npm install later)'));
+    }
+
+    // Step 4: Copy and convert files
+    console.log(chalk.blue('\n🔄 Step 4: Converting React components to SolidJS...'));
+    
+    const conversionResults = {
+        success: [],
+        failed: [],
+        skipped: [],
+        quarantined: [],
+        // Kept from an earlier run: unchanged sources, and outputs edited by hand
+        unchanged: [],
+        edited: [],
+        // One record per file for the migration report
+        files: []
+    };
+    // What each component now looks like, for picking hydration directives.
+    const outputs = new Map();
+
+    const allFiles = [
+        ...projectStructure.components.map(f => ({ file: f, type: 'components' })),
+        ...projectStructure.hooks.map(f => ({ file: f, type: 'hooks' })),
+        ...projectStructure.utils.map(f => ({ file: f, type: 'utils' })),
+        ...projectStructure.dependencies.map(f => ({ file: f, type: 'dependencies' }))
+    ];
+
+    // Custom hooks are renamed project-wide, so learn what each one
+    // returns before converting any of their call sites.
+    const sources = await readSources(oldProjectRoot, allFiles.map(({ file }) => file));
+    const routeFiles = await readSources(oldProjectRoot, routeFilesOf(projectStructure.routes));
+    conversionOptions.customHooks = collectCustomHooks([...sources, ...routeFiles]);
+    const sourceCode = new Map([...sources, ...routeFiles].map(({ file, code }) => [file, code]));
+
+    /**
+     * Whether `file` can be kept as an earlier run left it, going by
+     * `previous` (see checkFile in manifest.js; none when the check
+     * failed). If so it is recorded as it was then, and `onKeep` gets the
+     * manifest entry and current output to fill in what later steps need
+     * from it.
+     */
+    const keepPrevious = (previous, file, target, source, progress, onKeep = () => {}) => {
+        if (!previous || previous.action === 'convert') return false;
+
+        const { entry, output } = previous;
+        restoreImports(entry);
+        onKeep(entry, output);
+        conversionResults[previous.action].push(target);
+        conversionResults.files.push({
+            file,
+            target,
+            status: entry.status,
+            transforms: entry.transforms,
+            warnings: entry.warnings,
+            via: entry.via,
+            reasons: entry.reasons,
+            modelPatch: entry.modelPatch,
+            before: source,
+            after: output,
+            kept: previous.action
+        });
+        if (previous.action === 'unchanged') {
+            progress.info(chalk.dim(`Unchanged since the last run: ${file}`));
+        } else {
+            const changed = hashContent(source) !== entry.sourceHash ? ' (its source changed too: merge by hand)' : '';
+            progress.warn(chalk.yellow(`Edited by hand, left alone: ${target}${changed}`));
+        }
+        return true;
+    };
+    const writeGenerated = async (file, content) => {
+        if (await writeOutput(newProjectRoot, manifest, file, content) === 'edited') conversionResults.edited.push(file);
+    };
+
+    /**
+     * The part of a file's conversion that can run alongside others: the
+     * manifest check and the (possibly remote) conversion. Everything else
+     * happens in order as the results come in (see runPool). Errors are
+     * returned as the file's `error`, so one file cannot stop the pool.
+     */
+    const convertInPool = async (file, source, target, options) => {
+        let previous = null;
+        try {
+            previous = await checkFile(newProjectRoot, manifest, target, source);
+            if (previous.action !== 'convert') return { previous };
+            if (!options) return { previous, copy: true };
+            return { previous, converted: await convertHybrid(source, file, options, provider) };
+        } catch (error) {
+            return { previous, error };
+        }
+    };
+
+    let progress = createProgress(allFiles.length);
+    await runPool(allFiles, ({ file }) => {
+        const fileContent = sourceCode.get(file);
+        // Files that don't look like React components are only copied
+        const options = needsConversion(fileContent, conversionOptions.customHooks) ? conversionOptions : null;
+        return convertInPool(file, fileContent, targets.get(file), options);
+    }, { concurrency, onSettled: () => progress.tick(), commit: async ({ previous, copy, converted, error }, { file }) => {
+        const target = targets.get(file);
+        const fileContent = sourceCode.get(file);
+        if (keepPrevious(previous, file, target, fileContent, progress, (entry, output) => {
+            outputs.set(file, entry.status === 'copied' ? fileContent : output);
+        })) return;
+
+        try {
+            if (error) throw error;
+            if (copy) {
+                // Copy it over with only its imports updated
+                const copiedCode = rewrite(fileContent, file);
+                await writeRecorded(newProjectRoot, manifest, target, copiedCode, {
+                    file, source: fileContent, status: 'copied', ...importsOf(file)
+                });
+                conversionResults.skipped.push(file);
+                conversionResults.files.push({ file, target, status: 'copied', before: fileContent, after: copiedCode });
+                outputs.set(file, fileContent);
+                progress.succeed(chalk.yellow(`Copied (no conversion needed): ${file}`));
+                return;
+            }
+            
+            const convertedCode = rewrite(converted.code, file);
+            const { via, reasons, modelPatch, warnings } = converted;
+            await writeRecorded(newProjectRoot, manifest, target, convertedCode, {
+                file, source: fileContent, status: 'converted', transforms: converted.applied, warnings, via, reasons, modelPatch, ...importsOf(file)
+            });
+            
+            conversionResults.success.push(file);
+            conversionResults.files.push({
+                file,
+                target,
+                status: 'converted',
+                transforms: converted.applied,
+                warnings,
+                via,
+                reasons,
+                modelPatch,
+                before: fileContent,
+                after: convertedCode
+            });
+            outputs.set(file, convertedCode);
+            progress.succeed(chalk.green(convertedMessage(file, converted)));
+            warnings.forEach(warning => console.log(chalk.yellow(`  ! ${warning}`)));
+            
+        } catch (error) {
+            conversionResults.failed.push({ file, error: error.message });
+            conversionResults.files.push({ file, target, status: 'failed', before: fileContent, error: error.message });
+            await recordFile(newProjectRoot, manifest, target, { file, source: fileContent, status: 'failed', error: error.message });
+            progress.fail(chalk.red(`Failed: ${file} - ${error.message}`));
+        }
+    } });
+    progress.done();
+
+    // Step 5: Convert Next.js routes into Astro pages around Solid components
+    let routePages = [];
+    if (routeFiles.length > 0) {
+        console.log(chalk.blue('\n🧭 Step 5: Converting Next.js routes to Astro pages...'));
+        const convertedRoutes = new Map();
+        // Static next/head content, rendered in each page's <head>, and the
+        // <html> a root layout rendered, rendered by its Astro layout
+        const heads = new Map();
+        const documents = new Map();
+
+        progress = createProgress(routeFiles.length);
+        await runPool(routeFiles, ({ file, code }) => convertInPool(file, code, targets.get(file), { ...conversionOptions, liftHead: true }), { concurrency, onSettled: () => progress.tick(), commit: async ({ previous, converted, error }, { file, code }) => {
+            const target = targets.get(file);
+            if (keepPrevious(previous, file, target, code, progress, (entry, output) => {
+                convertedRoutes.set(file, output);
+                heads.set(file, entry.head || []);
+                documents.set(file, entry.document || null);
+            })) return;
+
+            try {
+                if (error) throw error;
+                const convertedCode = rewrite(converted.code, file);
+                const { via, reasons, modelPatch, warnings } = converted;
+                convertedRoutes.set(file, convertedCode);
+                heads.set(file, converted.head);
+                documents.set(file, converted.document);
+                await writeRecorded(newProjectRoot, manifest, target, convertedCode, {
+                    file,
+                    source: code,
+                    status: 'converted',
+                    transforms: converted.applied,
+                    head: converted.head,
+                    document: converted.document,
+                    warnings,
+                    via,
+                    reasons,
+                    modelPatch,
+                    ...importsOf(file)
+                });
+                conversionResults.success.push(file);
+                conversionResults.files.push({
+                    file,
+                    target,
+                    status: 'converted',
+                    transforms: converted.applied,
+                    warnings,
+                    via,
+                    reasons,
+                    modelPatch,
+                    before: code,
+                    after: convertedCode
+                });
+                progress.succeed(chalk.green(convertedMessage(file, converted)));
+                warnings.forEach(warning => console.log(chalk.yellow(`  ! ${warning}`)));
+            } catch (error) {
+                conversionResults.failed.push({ file, error: error.message });
+                conversionResults.files.push({ file, target, status: 'failed', before: code, error: error.message });
+                await recordFile(newProjectRoot, manifest, target, { file, source: code, status: 'failed', error: error.message });
+                progress.fail(chalk.red(`Failed: ${file} - ${error.message}`));
+            }
+        } });
+        progress.done();
+
+        const converted = new Map([...outputs, ...convertedRoutes]);
+        routePages = renderRoutes(projectStructure.routes, convertedRoutes, heads, documents,
+            file => importedModules(file, { sources: sourceCode, converted, resolve: projectStructure.imports.resolve }));
+        for (const { file, content } of routePages) {
+            await writeGenerated(file, content);
+        }
+        console.log(chalk.green(`✔ Generated ${routePages.length} Astro pages and layouts`));
+    }
+
+    // API routes and route handlers become endpoints next to the pages
+    if (projectStructure.routes.endpoints.length > 0) {
+        console.log(chalk.blue('\n🔌 Converting API routes to Astro endpoints...'));
+        const envVars = new Set();
+
+        progress = createProgress(projectStructure.routes.endpoints.length);
+        await runPool(projectStructure.routes.endpoints, async endpoint => {
+            // A file that cannot be read or checked fails alone, in commit
+            let code = null;
+            try {
+                code = await fs.readFile(path.join(oldProjectRoot, endpoint.file), 'utf-8');
+                return { code, previous: await checkFile(newProjectRoot, manifest, endpoint.page, code) };
+            } catch (error) {
+                return { code, error };
+            }
+        }, { concurrency, onSettled: () => progress.tick(), commit: async ({ code, previous, error }, endpoint) => {
+            if (keepPrevious(previous, endpoint.file, endpoint.page, code, progress, entry => {
+                (entry.env || []).forEach(name => envVars.add(name));
+            })) return;
+
+            try {
+                if (error) throw error;
+                const converted = convertEndpoint(code, endpoint.file, endpoint.kind);
+                const convertedCode = rewrite(converted.code, endpoint.file);
+                await writeRecorded(newProjectRoot, manifest, endpoint.page, convertedCode, {
+                    file: endpoint.file,
+                    source: code,
+                    status: 'converted',
+                    transforms: ['endpoint'],
+                    warnings: converted.warnings,
+                    env: converted.env,
+                    ...importsOf(endpoint.file)
+                });
+                converted.env.forEach(name => envVars.add(name));
+
+                conversionResults.success.push(endpoint.file);
+                conversionResults.files.push({
+                    file: endpoint.file,
+                    target: endpoint.page,
+                    status: 'converted',
+                    transforms: ['endpoint'],
+                    warnings: converted.warnings,
+                    before: code,
+                    after: convertedCode
+                });
+                progress.succeed(chalk.green(`Converted: ${endpoint.file} → ${endpoint.page}`));
+                converted.warnings.forEach(warning => console.log(chalk.yellow(`  ! ${warning}`)));
+            } catch (error) {
+                conversionResults.failed.push({ file: endpoint.file, error: error.message });
+                conversionResults.files.push({ file: endpoint.file, target: endpoint.page, status: 'failed', before: code, error: error.message });
+                await recordFile(newProjectRoot, manifest, endpoint.page, { file: endpoint.file, source: code, status: 'failed', error: error.message });
+                progress.fail(chalk.red(`Failed: ${endpoint.file} - ${error.message}`));
+            }
+        } });
+        progress.done();
+
+        if (envVars.size > 0) {
+            const vars = [...envVars].sort();
+            await writeGenerated('wrangler.toml', renderWranglerToml({ cloudflareName: cloudflareProjectName, vars }));
+            await writeGenerated('src/env.d.ts', renderEnvTypes(vars));
+            console.log(chalk.green(`✔ Listed ${vars.length} environment variables in wrangler.toml: ${vars.join(', ')}`));
+        }
+    }
+
+    // Stand-ins for the Next.js modules the converted code imports
+    for (const module of GENERATED_MODULES.filter(module => generated.has(module.file))) {
+        await writeGenerated(module.file, module.content);
+        console.log(chalk.green(`✔ Generated ${module.file} (${module.description})`));
+    }
+
+    // Step 6: Copy public assets
+    if (projectStructure.public) {
+        console.log(chalk.blue('\n📁 Step 6: Copying public assets...'));
+        const sourcePublic = path.join(oldProjectRoot, projectStructure.public);
+        const targetPublic = path.join(newProjectRoot, 'public');
+        await fs.copy(sourcePublic, targetPublic);
+        console.log(chalk.green('✔ Public assets copied'));
+    }
+    for (const file of projectStructure.assets) {
+        if (isStylesheet(file)) {
+            // Their url() and @import references move with the files they name
+            const code = await fs.readFile(path.join(oldProjectRoot, file), 'utf-8');
+            await writeGenerated(targets.get(file), rewriteStyleReferences(code, file, { resolve: projectStructure.imports.resolve, targets }));
+        } else {
+            await fs.copy(path.join(oldProjectRoot, file), path.join(newProjectRoot, targets.get(file)));
+        }
+    }
+    if (projectStructure.assets.length > 0) {
+        console.log(chalk.green(`✔ Copied ${projectStructure.assets.length} assets imported by components`));
+    }
+    for (const { file, target } of projectStructure.styleConfigs) {
+        const code = await fs.readFile(path.join(oldProjectRoot, file), 'utf-8');
+        await writeGenerated(target, migrateStyleConfig(code, file));
+        console.log(chalk.green(`✔ Migrated ${file}${target !== file ? ` to ${target}` : ''}`));
+    }
+
+    // Parse every file written in this run (and type-check them on request,
+    // now that the stylesheets and assets they import are in place); the
+    // ones that fail are quarantined rather than left to break the build
+    console.log(chalk.blue('\n🔎 Validating the converted files...'));
+    const migrated = conversionResults.files.filter(({ status, kept }) => status !== 'failed' && !kept);
+    const { failures, typeChecked } = validateOutputs(
+        newProjectRoot,
+        migrated.map(({ target, after }) => ({ target, code: after })),
+        { types: typeCheck }
+    );
+    if (typeCheck && !typeChecked) {
+        console.log(chalk.yellow('! TypeScript is not installed in the new project, so only syntax was checked (use --install)'));
+    }
+    for (const record of migrated.filter(({ target }) => failures.has(target))) {
+        record.status = 'quarantined';
+        record.diagnostics = failures.get(record.target);
+        record.quarantinedAt = await quarantine(newProjectRoot, record.target, record.diagnostics);
+        await recordFile(newProjectRoot, manifest, record.target, {
+            file: record.file, source: record.before, status: 'quarantined', diagnostics: record.diagnostics
+        });
+        conversionResults.success = conversionResults.success.filter(file => file !== record.file);
+        conversionResults.skipped = conversionResults.skipped.filter(file => file !== record.file);
+        conversionResults.quarantined.push({ file: record.file, diagnostics: record.diagnostics });
+    }
+    if (failures.size > 0) {
+        console.log(chalk.red(`✖ ${failures.size} files failed validation and were moved to ${QUARANTINE_DIR}/`));
+    } else {
+        console.log(chalk.green(`✔ All ${migrated.length} files parse${typeChecked ? ' and type-check' : ''}`));
+    }
+
+    // Step 7: Create layout and pages
+    console.log(chalk.blue('\n📄 Step 7: Creating Astro pages...'));
+    
+    // Create base layout
+    // Global stylesheets of the Pages Router _app apply to every page
+    const globalStyles = projectStructure.globalStylesheets
+        .map(file => `import '${path.posix.relative('src/layouts', targets.get(file))}';\n`)
+        .join('');
+    const layoutContent = `---
+${globalStyles}interface Props { title: string; }
+const { title } = Astro.props;
+---
+<!doctype html>
+<html lang="en">
+	<head>
+		<meta charset="UTF-8" />
+		<meta name="description" content="Migrated Astro + SolidJS App" />
+		<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+		<link rel="icon" type="image/svg+xml" href="/favicon.svg" />
+		<title>{title}</title>
+		<slot name="head" />
+	</head>
+	<body>
+		<slot />
+	</body>
+</html>`;
+    
+    await writeGenerated('src/layouts/Layout.astro', layoutContent);
+
+    // Create main page, unless a migrated route already provides one
+    const islands = routePages.map(({ island }) => island);
+    if (!routePages.some(({ file }) => file === 'src/pages/index.astro')) {
+        // Components by their path under src/components/, where they now live
+        const componentName = file => targets.get(file).replace(/^src\/components\//, '').replace(/\.(tsx|jsx)$/, '');
+        const isComponent = file => projectStructure.components.includes(file) && targets.get(file).startsWith('src/components/');
+        // Converted in this run or kept from an earlier one
+        const convertedFiles = conversionResults.files.filter(({ status }) => status === 'converted').map(({ file }) => file);
+        let mainComponent = options.entryComponent || 'HelloWorld'; // fallback
+        if (!options.entryComponent && convertedFiles.length > 0) {
+            const componentChoices = convertedFiles.filter(isComponent).map(componentName);
+
+            if (componentChoices.length > 0) {
+                mainComponent = await chooseEntryComponent(componentChoices);
+            }
+        }
+
+        const entryFile = [...outputs.keys()].find(f => isComponent(f) && componentName(f) === mainComponent);
+        const entryChoice = entryFile
+            ? chooseDirective(outputs.get(entryFile), entryFile, {
+                imports: importedModules(entryFile, { sources: sourceCode, converted: outputs, resolve: projectStructure.imports.resolve })
+            })
+            : { directive: 'client:load', reasons: ['not converted in this run, so it could not be analyzed'] };
+        islands.push({ component: entryFile || mainComponent, page: 'src/pages/index.astro', ...entryChoice });
+
+        const indexPageContent = `---
+import Layout from '../layouts/Layout.astro';
+import MainComponent from '../components/${mainComponent}';
+---
+<Layout title="Welcome to Your Migrated App">
+	<main>
+		<MainComponent${directiveAttribute(entryChoice)} />
+	</main>
+</Layout>`;
+
+        await writeGenerated('src/pages/index.astro', indexPageContent);
+    }
+
+    await writeHydrationReport(newProjectRoot, islands);
+    await writeImportReport(newProjectRoot, unresolved, collisions);
+    await writePackageReport(newProjectRoot, projectStructure.packages);
+    const migrationReport = createMigrationReport(conversionResults.files, {
+        unresolved,
+        blocking: projectStructure.packages.blocking
+    });
+    await writeMigrationReport(newProjectRoot, migrationReport);
+    await flushManifest(newProjectRoot, manifest);
+
+    // Summary
+    console.log(chalk.cyan.bold('\n\n🎉 Migration Complete! 🎉'));
+    console.log(chalk.white(`Project created at: ${newProjectRoot}\n`));
+    
+    console.log(chalk.green(`✅ Successfully converted: ${conversionResults.success.length} files`));
+    console.log(chalk.yellow(`⏭️  Skipped (no conversion needed): ${conversionResults.skipped.length} files`));
+    console.log(chalk.red(`❌ Failed conversions: ${conversionResults.failed.length} files`));
+    if (conversionResults.unchanged.length > 0) {
+        console.log(chalk.dim(`⏸️  Unchanged since the last run: ${conversionResults.unchanged.length} files`));
+    }
+    if (conversionResults.edited.length > 0) {
+        console.log(chalk.yellow(`✋ Edited by hand, left alone: ${conversionResults.edited.join(', ')}`));
+    }
+    if (conversionResults.quarantined.length > 0) {
+        console.log(chalk.red(`🚧 Quarantined in ${QUARANTINE_DIR}/: ${conversionResults.quarantined.length} files`));
+    }
+
+    if (conversionResults.failed.length > 0) {
+        console.log(chalk.red('\nFailed files (review manually):'));
+        conversionResults.failed.forEach(({file, error}) => {
+            console.log(chalk.red(`  • ${file}: ${error}`));
+        });
+    }
+    printValidationReport(conversionResults.quarantined);
+
+    printHydrationReport(islands);
+    console.log(chalk.dim(`(saved to ${HYDRATION_REPORT})`));
+    if (unresolved.length > 0) {
+        printImportReport(unresolved);
+        console.log(chalk.dim(`(saved to ${IMPORT_REPORT})`));
+    }
+    if (projectStructure.packages.mapped.length > 0 || projectStructure.packages.blocking.length > 0) {
+        printPackageReport(projectStructure.packages);
+        console.log(chalk.dim(`(saved to ${PACKAGE_REPORT})`));
+    }
+
+    printMigrationReport(migrationReport);
+    console.log(chalk.dim(`(per-file details in ${MIGRATION_REPORT}; open ${MIGRATION_HTML} to compare before and after)`));
+
+    console.log(chalk.bold('\n🚀 Next Steps:'));
+    console.log(chalk.cyan(`cd ${newProjectName}`));
+    if (!install) console.log(chalk.cyan('npm install'));
+    console.log(chalk.cyan('npm run dev'));
+    console.log(chalk.cyan('npm run build'));
+    console.log(chalk.cyan('npx wrangler pages deploy dist'));
+
+    return { projectRoot: newProjectRoot, report: migrationReport, results: conversionResults };
+}
+
+/**
+ * Convert a single file's `code` as migrate() would, without touching
+ * disk. Takes the conversion options of runTransforms (see convert.js)
+ * plus `plugins` and `provider`, as for migrate(), and resolves to
+ * convertHybrid's result (see hybrid.js).
+ */
+export async function convertFile(code, filePath, { plugins = [], provider = null, model, cwd = process.cwd(), ...options } = {}) {
+    return convertHybrid(
+        code,
+        filePath,
+        { ...options, plugins: await loadPlugins(plugins, cwd) },
+        typeof provider === 'string' ? createProvider(provider, { model }) : provider
+    );
+}
@@ -0,0 +1,70 @@
+/**
+ * Modules the migration generates for Next.js APIs Astro has no
+ * counterpart for. Converted code imports them by `specifier`; the import
+ * rewriting points that at `file`, and the module is only written when
+ * something imports it.
+ */
+
+const ROUTER_MODULE = `import { isServer } from 'solid-js/web';
+
+/**
+ * Stand-ins for the Next.js router hooks, generated by the migration.
+ * Every Astro page is its own document: navigating loads a new page, so the
+ * URL never changes while a component is mounted. The server does not know
+ * the URL here, so components rendering from it are hydrated client:only.
+ * \`query\` only holds the search params; dynamic route params are passed to
+ * page components as the \`params\` prop.
+ */
+
+type Href = string | URL | { pathname?: string; query?: Record<string, string> };
+
+function currentUrl(): URL {
+    return new URL(isServer ? 'http://localhost/' : window.location.href);
+}
+
+function toHref(href: Href): string {
+    if (typeof href === 'string' || href instanceof URL) return href.toString();
+    const search = new URLSearchParams(href.query || {}).toString();
+    return \`\${href.pathname || currentUrl().pathname}\${search ? \`?\${search}\` : ''}\`;
+}
+
+export function usePathname(): string {
+    return currentUrl().pathname;
+}
+
+export function useSearchParams(): URLSearchParams {
+    return currentUrl().searchParams;
+}
+
+export function useRouter() {
+    return {
+        get pathname() {
+            return currentUrl().pathname;
+        },
+        get asPath() {
+            const url = currentUrl();
+            return \`\${url.pathname}\${url.search}\${url.hash}\`;
+        },
+        get query(): Record<string, string> {
+            return Object.fromEntries(currentUrl().searchParams);
+        },
+        isReady: true,
+        push: (href: Href) => window.location.assign(toHref(href)),
+        replace: (href: Href) => window.location.replace(toHref(href)),
+        back: () => window.history.back(),
+        forward: () => window.history.forward(),
+        refresh: () => window.location.reload(),
+        reload: () => window.location.reload(),
+        prefetch: async (_href: Href) => {}
+    };
+}
+`;
+
+export const ROUTER_SHIM = {
+    specifier: 'virtual:next-router',
+    file: 'src/lib/next-router.ts',
+    description: 'useRouter, usePathname and useSearchParams',
+    content: ROUTER_MODULE
+};
+
+export const GENERATED_MODULES = [ROUTER_SHIM];
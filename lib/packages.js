@@ -0,0 +1,155 @@
+import chalk from 'chalk';
+import path from 'path';
+import fs from 'fs-extra';
+import { listImports, packageOf } from './imports.js';
+
+export const PACKAGE_REPORT = 'package-report.json';
+
+/**
+ * React packages with a Solid port close enough to switch to automatically.
+ * The react-packages transform points their imports at `package`, renames
+ * the exports listed in `names`, imports the default export as the named
+ * export `defaultExport` for ports without one, and wraps the options of
+ * the `accessors` calls in a function, as the Solid ports track them
+ * reactively.
+ */
+export const SOLID_EQUIVALENTS = {
+    '@tanstack/react-query': {
+        package: '@tanstack/solid-query',
+        version: '^5.0.0',
+        accessors: ['useQuery', 'useInfiniteQuery', 'useMutation', 'useQueries']
+    },
+    '@tanstack/react-table': {
+        package: '@tanstack/solid-table',
+        version: '^8.0.0',
+        names: { useReactTable: 'createSolidTable' }
+    },
+    '@tanstack/react-virtual': {
+        package: '@tanstack/solid-virtual',
+        version: '^3.0.0',
+        names: { useVirtualizer: 'createVirtualizer', useWindowVirtualizer: 'createWindowVirtualizer' }
+    },
+    'react-hot-toast': {
+        package: 'solid-toast',
+        version: '^0.5.0'
+    },
+    'styled-components': {
+        package: 'solid-styled-components',
+        version: '^0.28.5',
+        defaultExport: 'styled',
+        names: { createGlobalStyle: 'createGlobalStyles' }
+    },
+    '@emotion/styled': {
+        package: 'solid-styled-components',
+        version: '^0.28.5',
+        defaultExport: 'styled'
+    }
+};
+
+/**
+ * React-only packages without a drop-in Solid port, and what to use instead.
+ */
+const REACT_ONLY = {
+    'react-query': 'upgrade to @tanstack/react-query v5 first, which is switched to @tanstack/solid-query automatically',
+    'react-hook-form': 'rewrite the form with @modular-forms/solid or plain signals',
+    'formik': 'rewrite the form with @modular-forms/solid or plain signals',
+    'framer-motion': 'use solid-motionone (<Motion.div>) or CSS transitions',
+    'zustand': 'use createStore from solid-js/store, or keep the store in zustand/vanilla',
+    'react-icons': 'use solid-icons; icon names differ (FaBeer becomes FaSolidBeer)',
+    '@headlessui/react': 'use @kobalte/core',
+    'swr': 'use createResource from solid-js',
+    'react-redux': 'keep the Redux store and read it through from() or createStore',
+    'react-router': 'routes are Astro pages now: use <a> links and Astro.params',
+    'react-router-dom': 'routes are Astro pages now: use <a> links and Astro.params',
+    'react-dom': 'Astro renders the page; for createPortal use <Portal> from solid-js/web',
+    'react-helmet': 'put the head tags in the Astro page or layout',
+    'react-helmet-async': 'put the head tags in the Astro page or layout',
+    '@emotion/react': 'the css prop and <Global> need rewriting: use css, createGlobalStyles and ThemeProvider from solid-styled-components, or CSS Modules'
+};
+
+const REACT_ONLY_PREFIXES = [
+    ['@radix-ui/react-', 'use @kobalte/core']
+];
+
+/** Entry points of React-only packages that work without React. */
+const FRAMEWORK_FREE = new Set(['zustand/vanilla']);
+
+/** React itself is converted by the transforms; Next.js is covered by the import report. */
+const HANDLED = new Set(['react', 'next', 'solid-js']);
+
+/**
+ * Why `specifier` cannot be used from Solid, or null when it can.
+ */
+function blockingReason(specifier) {
+    const name = packageOf(specifier);
+    if (HANDLED.has(name) || SOLID_EQUIVALENTS[name] || FRAMEWORK_FREE.has(specifier)) return null;
+    if (REACT_ONLY[name]) return REACT_ONLY[name];
+    const prefix = REACT_ONLY_PREFIXES.find(([start]) => name.startsWith(start));
+    if (prefix) return prefix[1];
+    if (/(^|[/-])react($|[/-])/.test(name)) return 'React-only package with no known Solid equivalent';
+    return null;
+}
+
+/**
+ * Check the npm packages the migrated files import. Returns:
+ * - dependencies: what the new package.json needs besides Astro and Solid,
+ *   with versions from the source package.json or the Solid port,
+ * - mapped: React packages replaced by their Solid port,
+ * - blocking: every import of a React-only package, with file and line,
+ *   for rewriting by hand.
+ * `resolve` tells packages apart from path aliases (see imports.js).
+ */
+export function analyzePackages(sources, packageJson, resolve) {
+    const { dependencies: runtime = {}, devDependencies = {} } = packageJson || {};
+    const declared = { ...devDependencies, ...runtime };
+    const dependencies = {};
+    const mapped = new Map();
+    const blocking = [];
+
+    for (const { file, code } of sources) {
+        let imports;
+        try {
+            imports = listImports(code, file);
+        } catch {
+            // Parse errors are reported when the file is converted.
+            continue;
+        }
+
+        for (const { specifier, line } of imports) {
+            if (resolve(specifier, file).kind !== 'package') continue;
+            const name = packageOf(specifier);
+            const reason = blockingReason(specifier);
+            const equivalent = SOLID_EQUIVALENTS[name];
+
+            if (reason) {
+                blocking.push({ package: name, file, line, reason });
+            } else if (equivalent) {
+                dependencies[equivalent.package] = equivalent.version;
+                const entry = mapped.get(name) || { from: name, to: equivalent.package, files: [] };
+                if (!entry.files.includes(file)) entry.files.push(file);
+                mapped.set(name, entry);
+            } else if (!HANDLED.has(name) && declared[name]) {
+                dependencies[name] = declared[name];
+            }
+        }
+    }
+
+    return { dependencies, mapped: [...mapped.values()], blocking };
+}
+
+export function printPackageReport({ mapped, blocking }) {
+    if (mapped.length > 0) {
+        console.log(chalk.white('\nReact packages switched to their Solid ports:'));
+        mapped.forEach(({ from, to, files }) => console.log(chalk.white(`  • ${from} → ${to} in ${files.join(', ')}`)));
+    }
+    if (blocking.length > 0) {
+        console.log(chalk.red('\nBlocking issues - React-only packages to replace by hand:'));
+        blocking.forEach(({ package: name, file, line, reason }) => {
+            console.log(chalk.red(`  • ${file}${line ? `:${line}` : ''} imports ${name}: ${reason}`));
+        });
+    }
+}
+
+export async function writePackageReport(projectRoot, report) {
+    await fs.writeJson(path.join(projectRoot, PACKAGE_REPORT), report, { spaces: 2 });
+}
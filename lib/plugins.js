@@ -0,0 +1,118 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import fg from 'fast-glob';
+import { TRANSFORMS } from './transforms/index.js';
+
+/** The categories discovery sorts files into. */
+export const CATEGORIES = ['components', 'hooks', 'utils'];
+
+/** Where a plugin transform runs when it names no `before` or `after`. */
+const DEFAULT_ANCHOR = 'solid-imports';
+
+/**
+ * Plugins teach the tool a team's own hooks and components without a fork.
+ * A plugin is an object (or a module whose default export is one, or a
+ * function of the plugin's options returning one):
+ *
+ *   export default {
+ *       name: 'acme',
+ *       // Run with the built-in transforms (see transforms/index.js), just
+ *       // before `before` or after `after` (default: before solid-imports).
+ *       transforms: [{ name: 'acme-use-theme', before: 'hooks', run(ctx) { return false; } }],
+ *       // Also migrate the files matching `pattern`, as `category`.
+ *       categories: [{ pattern: 'packages/ui/src/**\/*.tsx', category: 'components' }],
+ *       // Called once the new project is scaffolded.
+ *       async afterScaffold({ projectRoot, sourceRoot, options, written }) {}
+ *   };
+ *
+ * Throws when the plugin does not have that shape.
+ */
+export function validatePlugin(plugin, source = (plugin && plugin.name) || 'object') {
+    const fail = message => {
+        throw new Error(`Invalid plugin ${source}: ${message}`);
+    };
+    if (!plugin || typeof plugin !== 'object') fail('expected an object, or a function returning one');
+    if (typeof plugin.name !== 'string' || plugin.name === '') fail('it has no name');
+
+    for (const transform of plugin.transforms || []) {
+        if (typeof transform.name !== 'string' || typeof transform.run !== 'function') {
+            fail('every transform needs a name and a run(ctx) function');
+        }
+        if (TRANSFORMS.some(({ name }) => name === transform.name)) {
+            fail(`transform "${transform.name}" has the name of a built-in transform`);
+        }
+    }
+    for (const matcher of plugin.categories || []) {
+        if (typeof matcher.pattern !== 'string' || !CATEGORIES.includes(matcher.category)) {
+            fail(`every category matcher needs a glob pattern and a category (${CATEGORIES.join(', ')})`);
+        }
+    }
+    if (plugin.afterScaffold !== undefined && typeof plugin.afterScaffold !== 'function') {
+        fail('afterScaffold must be a function');
+    }
+    return plugin;
+}
+
+/**
+ * Load the plugins listed in the config file. Each entry is a module path
+ * (relative to `cwd`; loadSettings has already resolved the config file's
+ * against its directory), a package name or a plugin object, optionally
+ * as `[entry, options]` to pass options to a plugin function.
+ */
+export async function loadPlugins(entries = [], cwd = process.cwd()) {
+    const plugins = [];
+    for (const entry of entries) {
+        const [specifier, settings = {}] = Array.isArray(entry) ? entry : [entry];
+        let plugin = specifier;
+        if (typeof specifier === 'string') {
+            const local = specifier.startsWith('.') || path.isAbsolute(specifier);
+            plugin = (await import(local ? pathToFileURL(path.resolve(cwd, specifier)).href : specifier)).default;
+        }
+        if (typeof plugin === 'function') {
+            plugin = await plugin(settings);
+        }
+        plugins.push(validatePlugin(plugin, typeof specifier === 'string' ? specifier : undefined));
+    }
+    return plugins;
+}
+
+/**
+ * `transforms` with the transforms of `plugins` slotted in where they ask
+ * to run.
+ */
+export function withPluginTransforms(transforms, plugins = []) {
+    const result = [...transforms];
+    for (const plugin of plugins) {
+        for (const transform of plugin.transforms || []) {
+            const anchor = transform.after || transform.before || DEFAULT_ANCHOR;
+            const index = result.findIndex(({ name }) => name === anchor);
+            if (index === -1) {
+                throw new Error(`Plugin ${plugin.name}: transform "${transform.name}" is placed next to "${anchor}", which does not exist`);
+            }
+            result.splice(transform.after ? index + 1 : index, 0, transform);
+        }
+    }
+    return result;
+}
+
+/**
+ * The files the plugins' category patterns match in `projectRoot`, with
+ * their category. The first matching pattern wins.
+ */
+export async function matchCategories(plugins, projectRoot, ignore = []) {
+    const categories = new Map();
+    for (const plugin of plugins) {
+        for (const { pattern, category } of plugin.categories || []) {
+            for (const file of await fg([pattern], { cwd: projectRoot, onlyFiles: true, ignore })) {
+                if (!categories.has(file)) categories.set(file, category);
+            }
+        }
+    }
+    return categories;
+}
+
+export async function runAfterScaffold(plugins, context) {
+    for (const plugin of plugins) {
+        if (plugin.afterScaffold) await plugin.afterScaffold(context);
+    }
+}
@@ -0,0 +1,79 @@
+import chalk from 'chalk';
+import ora from 'ora';
+
+/** Files worked on at once when no --concurrency is given. */
+export const DEFAULT_CONCURRENCY = 4;
+
+const BAR_WIDTH = 24;
+
+/**
+ * Run `work(item, index)` over `items`, at most `concurrency` at a time.
+ * Results are handed to `commit(result, item, index)` one by one in the
+ * order of `items`, however the work finishes, so whatever commit writes,
+ * prints or records comes out the same as in a serial run. `onSettled`
+ * hears of each item as soon as its work is done. Resolves to the results,
+ * in order.
+ */
+export async function runPool(items, work, { concurrency = DEFAULT_CONCURRENCY, commit = () => {}, onSettled = () => {} } = {}) {
+    const results = new Array(items.length);
+    const done = new Array(items.length).fill(false);
+    let started = 0;
+    let committed = 0;
+    let committing = Promise.resolve();
+
+    // Commit every finished result that is next in line; chained so that
+    // commits never overlap
+    const commitReady = () => {
+        committing = committing.then(async () => {
+            while (committed < items.length && done[committed]) {
+                await commit(results[committed], items[committed], committed);
+                committed++;
+            }
+        });
+        return committing;
+    };
+
+    const worker = async () => {
+        while (started < items.length) {
+            const index = started++;
+            results[index] = await work(items[index], index);
+            done[index] = true;
+            onSettled(items[index], index);
+            await commitReady();
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker));
+    await committing;
+    return results;
+}
+
+/**
+ * One progress bar for a batch of `total` files, in place of a spinner per
+ * file. `tick()` counts a finished file; `succeed`, `warn`, `fail` and
+ * `info` print a file's outcome above the bar like ora's methods of the
+ * same name, and `done()` replaces the bar with a final count.
+ */
+export function createProgress(total, label = 'Converting') {
+    let finished = 0;
+    const render = () => {
+        const filled = total === 0 ? BAR_WIDTH : Math.round(BAR_WIDTH * finished / total);
+        return `${label} ${chalk.cyan('█'.repeat(filled))}${chalk.dim('░'.repeat(BAR_WIDTH - filled))} ${finished}/${total}`;
+    };
+    const spinner = ora(render()).start();
+    const persist = method => text => ora(text)[method]();
+
+    return {
+        tick() {
+            finished++;
+            spinner.text = render();
+        },
+        succeed: persist('succeed'),
+        warn: persist('warn'),
+        fail: persist('fail'),
+        info: persist('info'),
+        done() {
+            spinner.stopAndPersist({ symbol: chalk.dim('•'), text: chalk.dim(`${label}: ${finished}/${total} files done`) });
+        }
+    };
+}
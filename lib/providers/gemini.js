@@ -0,0 +1,41 @@
+import { buildPrompt, stripCodeFence, SYSTEM_PROMPT, withRetries } from './prompt.js';
+
+/**
+ * Google Gemini, with the key from GEMINI_API_KEY. @google/genai is only
+ * loaded once a file is actually sent, so the API-free tool runs without it.
+ */
+export function createGeminiProvider({ model = 'gemini-2.5-flash', apiKey = process.env.GEMINI_API_KEY, throttle } = {}) {
+    if (!apiKey) {
+        throw new Error('GEMINI_API_KEY environment variable not set');
+    }
+
+    let client = null;
+    return {
+        name: 'gemini',
+        async convert(request) {
+            if (!client) {
+                const { GoogleGenAI } = await import('@google/genai');
+                client = new GoogleGenAI({ apiKey });
+            }
+            return withRetries(async () => {
+                let response;
+                try {
+                    response = await client.models.generateContent({
+                        model,
+                        contents: buildPrompt(request),
+                        config: {
+                            systemInstruction: SYSTEM_PROMPT,
+                            temperature: 0.1,
+                        }
+                    });
+                } catch (error) {
+                    // A quota error says how long to wait: "retryDelay": "37s"
+                    const delay = error.status === 429 && /retryDelay"?:\s*"(\d+(?:\.\d+)?)s"/.exec(error.message || '');
+                    if (delay) error.retryAfter = Number(delay[1]) * 1000;
+                    throw error;
+                }
+                return stripCodeFence(response.text);
+            }, { throttle });
+        }
+    };
+}
@@ -0,0 +1,32 @@
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+import { createRateLimiter } from './rate-limit.js';
+
+/**
+ * Model providers the hybrid pipeline (see hybrid.js) can hand files to.
+ * Each factory takes its settings, `throttle` among them (see
+ * rate-limit.js), and returns `{ name, convert(request) }`, `convert`
+ * resolving to the converted code for a request of `{ file, source, local,
+ * reasons }` (see prompt.js).
+ */
+export const PROVIDERS = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    mock: createMockProvider
+};
+
+/**
+ * The provider called `name`, or null for 'none', with every request it
+ * sends, retries included, held to `settings.rateLimit` per minute when
+ * that is set (see rate-limit.js). Throws when it is unknown or missing
+ * its settings (an API key, a model).
+ */
+export function createProvider(name, settings = {}) {
+    if (!name || name === 'none') return null;
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown provider "${name}": use ${Object.keys(PROVIDERS).join(', ')} or none`);
+    }
+    return factory({ ...settings, throttle: createRateLimiter(settings.rateLimit) });
+}
@@ -0,0 +1,19 @@
+/**
+ * A provider that never leaves the machine, for tests: it answers with
+ * `responses[file]` when there is one, and otherwise with the local
+ * conversion (or the source, if that failed) under a marker comment.
+ * Every request is kept in `requests`.
+ */
+export function createMockProvider({ responses = {}, throttle = async () => {} } = {}) {
+    const requests = [];
+    return {
+        name: 'mock',
+        requests,
+        async convert(request) {
+            await throttle();
+            requests.push(request);
+            if (responses[request.file] !== undefined) return responses[request.file];
+            return `// Converted by the mock provider\n${request.local === null ? request.source : request.local}`;
+        }
+    };
+}
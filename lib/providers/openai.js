@@ -0,0 +1,49 @@
+import { buildPrompt, retryAfter, stripCodeFence, SYSTEM_PROMPT, withRetries } from './prompt.js';
+
+/**
+ * Any server speaking the OpenAI chat completions API: a local Ollama,
+ * llama.cpp or vLLM as well as hosted ones. OPENAI_BASE_URL points at it
+ * (Ollama's by default) and OPENAI_API_KEY is sent when set.
+ */
+export function createOpenAIProvider({
+    model = process.env.OPENAI_MODEL,
+    baseUrl = process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+    apiKey = process.env.OPENAI_API_KEY,
+    throttle
+} = {}) {
+    if (!model) {
+        throw new Error('No model for the openai provider: pass --model or set OPENAI_MODEL');
+    }
+    const endpoint = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+
+    return {
+        name: 'openai',
+        async convert(request) {
+            return withRetries(async () => {
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+                    },
+                    body: JSON.stringify({
+                        model,
+                        temperature: 0.1,
+                        messages: [
+                            { role: 'system', content: SYSTEM_PROMPT },
+                            { role: 'user', content: buildPrompt(request) }
+                        ]
+                    })
+                });
+                if (!response.ok) {
+                    const error = new Error(`${endpoint} answered ${response.status} ${response.statusText}`);
+                    error.status = response.status;
+                    error.retryAfter = retryAfter(response);
+                    throw error;
+                }
+                const { choices } = await response.json();
+                return stripCodeFence(choices[0].message.content);
+            }, { throttle });
+        }
+    };
+}
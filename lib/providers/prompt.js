@@ -0,0 +1,101 @@
+/**
+ * What every provider is asked to do. The local transforms have already
+ * run, so the model finishes a conversion rather than starting one.
+ */
+export const SYSTEM_PROMPT = `You are an expert code transpiler. Your task is to convert the provided React component code into its equivalent SolidJS code.
+- Convert React hooks (useState, useEffect, useContext) to SolidJS signals and effects (createSignal, createEffect, useContext).
+- Change the 'className' prop to 'class'.
+- Maintain the original file structure and component logic.
+- Ensure all imports are updated for SolidJS where necessary (e.g., remove 'import React...').
+- When given a partial conversion, finish it and keep everything it already converted.
+- Respond ONLY with the raw, transpiled SolidJS code. Do not include any explanation, markdown (like \`\`\`tsx), comments, or extra text. Your entire response should be valid code.`;
+
+/**
+ * The user message for one file: the React source, and the local
+ * conversion with what is wrong with it when there is one.
+ */
+export function buildPrompt({ file, source, local, reasons }) {
+    if (local === null) {
+        return `Convert the following React code from \`${file}\` to SolidJS:\n\n---\n\n${source}`;
+    }
+    return `The following React code from \`${file}\` was partly converted to SolidJS by an automated tool.
+
+Still to fix:
+${reasons.map(reason => `- ${reason}`).join('\n')}
+
+Original React code:
+
+---
+
+${source}
+
+---
+
+Partial SolidJS conversion, to finish:
+
+---
+
+${local}`;
+}
+
+/**
+ * Models wrap code in a markdown fence now and then despite the prompt.
+ */
+export function stripCodeFence(text) {
+    const code = text.trim();
+    if (!code.startsWith('```')) return code;
+    return code.replace(/^```(tsx|jsx|ts|js|typescript|javascript)?\n/, '').replace(/\n```$/, '');
+}
+
+/**
+ * Error codes of a connection that broke or timed out, worth another try;
+ * a refused connection or an unknown host means nothing is there.
+ */
+const NETWORK_ERRORS = new Set([
+    'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+    'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+]);
+
+/**
+ * Whether a failed request may succeed when sent again: the server is
+ * busy (429) or failing (5xx), or the connection broke. A rejected key
+ * (401, 403), a bad request (400) or a bug in the code never will.
+ */
+export function isRetryable(error) {
+    if (typeof error.status === 'number') return error.status === 429 || error.status >= 500;
+    // fetch reports a network failure as a TypeError caused by the socket's error
+    const code = error.code || (error.cause && error.cause.code);
+    return NETWORK_ERRORS.has(code);
+}
+
+/**
+ * Call `request` up to `attempts` times while it fails with a retryable
+ * error (see isRetryable), backing off exponentially (with some jitter, so
+ * files converting at once do not retry in lockstep) after each failure.
+ * An error with `retryAfter`, in milliseconds, as set from a 429 or 503
+ * answer, waits at least that long. Every attempt first awaits `throttle`,
+ * the provider's rate limiter (see rate-limit.js).
+ */
+export async function withRetries(request, { attempts = 5, throttle = async () => {} } = {}) {
+    for (let i = 0; ; i++) {
+        await throttle();
+        try {
+            return await request();
+        } catch (error) {
+            if (i === attempts - 1 || !isRetryable(error)) throw error;
+            const backoff = Math.min(1000 * 2 ** i, 30000) * (0.5 + Math.random() / 2);
+            await new Promise(resolve => setTimeout(resolve, Math.max(backoff, error.retryAfter || 0)));
+        }
+    }
+}
+
+/**
+ * The Retry-After header of `response` in milliseconds (it is either
+ * seconds or a date), or undefined when there is none.
+ */
+export function retryAfter(response) {
+    const value = response.headers.get('retry-after');
+    if (!value) return undefined;
+    const seconds = Number(value);
+    return Number.isNaN(seconds) ? Math.max(0, Date.parse(value) - Date.now()) || undefined : seconds * 1000;
+}
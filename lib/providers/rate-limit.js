@@ -0,0 +1,20 @@
+/**
+ * A gate holding requests to at most `requestsPerMinute`: awaiting the
+ * returned function takes the next free slot, so with several files
+ * converting at once (see pool.js) each request waits for its turn rather
+ * than all of them hitting the API together and being turned away.
+ * Providers await it before every attempt, retries included (see
+ * withRetries in prompt.js). Without a limit it lets everything through.
+ */
+export function createRateLimiter(requestsPerMinute) {
+    if (!requestsPerMinute) return async () => {};
+    const interval = 60000 / requestsPerMinute;
+    let nextSlot = 0;
+
+    return async () => {
+        const now = Date.now();
+        const wait = Math.max(0, nextSlot - now);
+        nextSlot = Math.max(now, nextSlot) + interval;
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    };
+}
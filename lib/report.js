@@ -0,0 +1,270 @@
+import chalk from 'chalk';
+import path from 'path';
+import fs from 'fs-extra';
+import jscodeshift from 'jscodeshift';
+import { isReference, isTextField } from './ast-utils.js';
+
+export const MIGRATION_REPORT = 'migration-report.json';
+export const MIGRATION_HTML = 'migration-report.html';
+
+const REACT_HOOKS = new Set([
+    'useState', 'useEffect', 'useLayoutEffect', 'useMemo', 'useCallback', 'useRef', 'useReducer',
+    'useContext', 'useId', 'useImperativeHandle', 'useTransition', 'useDeferredValue', 'useSyncExternalStore'
+]);
+
+/**
+ * How much each kind of finding lowers a file's confidence score (out of 100).
+ */
+const PENALTIES = {
+    leftover: 15,
+    warning: 10,
+    unresolved: 10,
+    blocking: 20
+};
+
+/**
+ * React that survived the conversion: hook calls, `React.` references
+ * (`<React.Fragment>` too), `key=` (ignored by Solid), `onChange` on text
+ * fields (fires on commit in Solid, not on every keystroke) and
+ * styled-components' `.attrs()`, which solid-styled-components lacks.
+ * Given the `source` the code was converted from, names it imported from
+ * 'react' that the code still uses but no longer defines (`memo`,
+ * `<Fragment>`) count too. Returns `{ name, line }` entries.
+ */
+export function findLeftovers(code, filePath, source = null) {
+    const j = jscodeshift.withParser(filePath.endsWith('.ts') ? 'ts' : 'tsx');
+    const root = j(code);
+    const leftovers = [];
+    const add = (name, node) => leftovers.push({ name, line: node.loc ? node.loc.start.line : null });
+
+    root.find(j.ImportDeclaration, { source: { value: 'react' } }).forEach(path => add("import from 'react'", path.node));
+    root.find(j.CallExpression, { callee: { type: 'Identifier' } })
+        .filter(path => REACT_HOOKS.has(path.node.callee.name) && !path.scope.lookup(path.node.callee.name))
+        .forEach(path => add(path.node.callee.name, path.node));
+    root.find(j.MemberExpression, { object: { type: 'Identifier', name: 'React' } })
+        .filter(path => isReference(path.get('object')))
+        .forEach(path => add(`React.${path.node.property.name || '[]'}`, path.node));
+    root.find(j.JSXMemberExpression, { object: { type: 'JSXIdentifier', name: 'React' } })
+        .filter(path => path.parent.node.type !== 'JSXClosingElement')
+        .forEach(path => add(`React.${path.node.property.name}`, path.node));
+    if (source) {
+        const imported = reactImports(j, source);
+        root.find(j.Identifier)
+            .filter(path => imported.has(path.node.name) && !REACT_HOOKS.has(path.node.name) && isUnbound(j, root, path))
+            .forEach(path => add(path.node.name, path.node));
+    }
+    root.find(j.JSXAttribute, { name: { type: 'JSXIdentifier', name: 'key' } }).forEach(path => add('key=', path.node));
+    root.find(j.JSXOpeningElement).filter(path => isTextField(path.node)).forEach(path => {
+        path.node.attributes
+            .filter(attribute => attribute.type === 'JSXAttribute' && attribute.name.name === 'onChange')
+            .forEach(attribute => add('onChange', attribute));
+    });
+    root.find(j.MemberExpression, { property: { name: 'attrs' } })
+        .filter(path => isStyledCall(path.node.object))
+        .forEach(path => add('styled.attrs()', path.node));
+
+    return leftovers.sort((a, b) => (a.line || 0) - (b.line || 0));
+}
+
+/** The local names `source` imports from 'react', `React` excepted (see above). */
+function reactImports(j, source) {
+    const names = new Set();
+    j(source).find(j.ImportDeclaration, { source: { value: 'react' } }).forEach(path => {
+        for (const specifier of path.node.specifiers || []) names.add(specifier.local.name);
+    });
+    names.delete('React');
+    return names;
+}
+
+/**
+ * True for a use of an identifier (a reference, a JSX tag or a type name)
+ * that nothing in the file declares.
+ */
+function isUnbound(j, root, path) {
+    const { node, parent } = path;
+    const used = node.type === 'JSXIdentifier'
+        ? parent.node.type === 'JSXOpeningElement' || (parent.node.type === 'JSXMemberExpression' && path.name === 'object' && parent.parent.node.type !== 'JSXClosingElement')
+        : isReference(path) || (parent.node.type === 'TSTypeReference' && path.name === 'typeName');
+    if (!used || path.scope.lookup(node.name)) return false;
+    return root.find(j.TSTypeAliasDeclaration, { id: { name: node.name } }).size() === 0
+        && root.find(j.TSInterfaceDeclaration, { id: { name: node.name } }).size() === 0;
+}
+
+/** `styled.div` or `styled(Button)`. */
+function isStyledCall(node) {
+    const styled = node.type === 'CallExpression' ? node.callee : node;
+    const base = styled.type === 'MemberExpression' ? styled.object : styled;
+    return base.type === 'Identifier' && base.name === 'styled';
+}
+
+/**
+ * 100 for a file that needs no review, 0 for one that failed to convert
+ * or was quarantined.
+ */
+function scoreFile({ status, leftovers, warnings, unresolved, blocking }) {
+    if (status === 'failed' || status === 'quarantined') return 0;
+    const penalty = leftovers.length * PENALTIES.leftover
+        + warnings.length * PENALTIES.warning
+        + unresolved.length * PENALTIES.unresolved
+        + blocking.length * PENALTIES.blocking;
+    return Math.max(0, 100 - penalty);
+}
+
+/**
+ * Build the report from one record per migrated file: `{ file, target,
+ * status: 'converted' | 'copied' | 'quarantined' | 'failed', transforms,
+ * via, reasons, modelPatch, before, after, warnings, diagnostics,
+ * quarantinedAt, error }`, `via` naming the model provider that finished
+ * the conversion (see hybrid.js) and `modelPatch` what it changed. The unresolved imports and React-only package
+ * imports found elsewhere count against the files they occur in. Files
+ * are listed lowest confidence first, which is where review should start.
+ */
+export function createMigrationReport(records, { unresolved = [], blocking = [] } = {}) {
+    const files = records.map(record => {
+        let leftovers = [];
+        if (record.status !== 'failed' && record.status !== 'quarantined') {
+            try {
+                leftovers = findLeftovers(record.after, record.target, record.before);
+            } catch {
+                leftovers = [{ name: 'output does not parse', line: null }];
+            }
+        }
+        const entry = {
+            file: record.file,
+            target: record.target,
+            status: record.status,
+            transforms: record.transforms || [],
+            via: record.via || null,
+            reasons: record.reasons || [],
+            modelPatch: record.modelPatch || null,
+            leftovers,
+            warnings: record.warnings || [],
+            unresolved: unresolved.filter(({ file }) => file === record.file).map(({ specifier, reason }) => ({ specifier, reason })),
+            blocking: blocking.filter(({ file }) => file === record.file).map(({ package: name, line, reason }) => ({ package: name, line, reason })),
+            diagnostics: record.diagnostics || [],
+            quarantinedAt: record.quarantinedAt || null,
+            error: record.error || null,
+            before: record.before,
+            after: record.after || null
+        };
+        return { ...entry, confidence: scoreFile(entry) };
+    });
+
+    files.sort((a, b) => a.confidence - b.confidence || a.file.localeCompare(b.file));
+    const count = status => files.filter(file => file.status === status).length;
+
+    return {
+        summary: {
+            files: files.length,
+            converted: count('converted'),
+            copied: count('copied'),
+            quarantined: count('quarantined'),
+            failed: count('failed'),
+            finishedByModel: files.filter(file => file.via && file.via !== 'local').length,
+            averageConfidence: files.length > 0 ? Math.round(files.reduce((sum, file) => sum + file.confidence, 0) / files.length) : 100
+        },
+        files
+    };
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function confidenceClass(confidence) {
+    if (confidence >= 80) return 'high';
+    if (confidence >= 50) return 'medium';
+    return 'low';
+}
+
+function renderFindings(file) {
+    const items = [
+        ...file.leftovers.map(({ name, line }) => `Leftover React: <code>${escapeHtml(name)}</code>${line ? ` (line ${line})` : ''}`),
+        ...file.warnings.map(warning => `Warning: ${escapeHtml(warning)}`),
+        ...file.unresolved.map(({ specifier, reason }) => `Unresolved import <code>${escapeHtml(specifier)}</code>: ${escapeHtml(reason)}`),
+        ...file.diagnostics.map(({ check, line, message }) => `Failed ${check} check${line ? ` (line ${line})` : ''}: ${escapeHtml(message)}`),
+        ...(file.quarantinedAt ? [`Moved to <code>${escapeHtml(file.quarantinedAt)}</code>`] : []),
+        ...file.blocking.map(({ package: name, line, reason }) => `React-only package <code>${escapeHtml(name)}</code>${line ? ` (line ${line})` : ''}: ${escapeHtml(reason)}`),
+        ...(file.error ? [`Failed: ${escapeHtml(file.error)}`] : [])
+    ];
+    return items.length > 0 ? `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>` : '<p>Nothing to review.</p>';
+}
+
+function renderModel(file) {
+    if (!file.via || file.via === 'local') return '';
+    return `<p>Finished by ${escapeHtml(file.via)} because ${file.reasons.map(escapeHtml).join('; ')}.</p>
+<details><summary>Changes made by ${escapeHtml(file.via)} to the local conversion</summary><pre>${escapeHtml(file.modelPatch || '')}</pre></details>`;
+}
+
+function renderFile(file) {
+    const transforms = file.transforms.length > 0 ? file.transforms.join(', ') : 'none';
+    return `<details${file.confidence < 80 ? ' open' : ''}>
+<summary><span class="score ${confidenceClass(file.confidence)}">${file.confidence}</span> ${escapeHtml(file.file)} → ${escapeHtml(file.target)} <em>(${file.status})</em></summary>
+<p>Transforms: ${escapeHtml(transforms)}</p>
+${renderModel(file)}
+${renderFindings(file)}
+<div class="diff">
+<div><h3>Before</h3><pre>${escapeHtml(file.before || '')}</pre></div>
+<div><h3>After</h3><pre>${escapeHtml(file.after || '')}</pre></div>
+</div>
+</details>`;
+}
+
+/**
+ * A standalone HTML page for browsing the report: the summary, then every
+ * file with its findings and the code before and after side by side.
+ */
+export function renderHtmlReport(report) {
+    const { summary } = report;
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Migration report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2933; }
+summary { cursor: pointer; font-weight: 600; padding: 0.25rem 0; }
+details { border-bottom: 1px solid #d9e2ec; padding: 0.5rem 0; }
+.score { display: inline-block; min-width: 2.5rem; text-align: center; border-radius: 4px; color: #fff; }
+.high { background: #2f855a; }
+.medium { background: #b7791f; }
+.low { background: #c53030; }
+.diff { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; }
+pre { background: #f5f7fa; padding: 0.75rem; overflow-x: auto; font-size: 0.8rem; }
+</style>
+</head>
+<body>
+<h1>Migration report</h1>
+<p>${summary.files} files: ${summary.converted} converted, ${summary.copied} copied, ${summary.quarantined} quarantined, ${summary.failed} failed, ${summary.finishedByModel} finished by a model. Average confidence ${summary.averageConfidence}/100. Lowest confidence first.</p>
+${report.files.map(renderFile).join('\n')}
+</body>
+</html>
+`;
+}
+
+export async function writeMigrationReport(projectRoot, report) {
+    await fs.writeJson(path.join(projectRoot, MIGRATION_REPORT), report, { spaces: 2 });
+    await fs.writeFile(path.join(projectRoot, MIGRATION_HTML), renderHtmlReport(report));
+}
+
+/**
+ * Print the files most in need of review.
+ */
+export function printMigrationReport(report, limit = 5) {
+    const review = report.files.filter(file => file.confidence < 80).slice(0, limit);
+    console.log(chalk.white(`\nAverage confidence: ${report.summary.averageConfidence}/100`));
+    if (report.summary.finishedByModel > 0) {
+        console.log(chalk.white(`${report.summary.finishedByModel} files were finished by a model; see ${MIGRATION_HTML} for what it changed`));
+    }
+    if (review.length === 0) return;
+    console.log(chalk.white('Review these first:'));
+    for (const file of review) {
+        const color = file.confidence >= 50 ? chalk.yellow : chalk.red;
+        const findings = file.leftovers.length + file.warnings.length + file.unresolved.length + file.blocking.length + file.diagnostics.length;
+        console.log(color(`  • ${file.confidence}/100 ${file.file}${file.error ? `: ${file.error}` : ` (${findings} findings)`}`));
+    }
+}
@@ -0,0 +1,320 @@
+import path from 'path';
+import fg from 'fast-glob';
+import { chooseDirective, directiveAttribute } from './hydration.js';
+
+/**
+ * Next.js route files. Both routers may sit at the project root or under src/.
+ */
+const ROUTE_GLOBS = [
+    '{src/,}app/**/{page,layout}.{tsx,jsx,js}',
+    '{src/,}pages/**/*.{tsx,jsx,js}'
+];
+
+/**
+ * API routes and app/ route handlers, which become Astro endpoints.
+ */
+const ENDPOINT_GLOBS = [
+    '{src/,}pages/api/**/*.{ts,js}',
+    '{src/,}app/**/route.{ts,js}'
+];
+
+/**
+ * Special pages-router files have no Astro page or endpoint of their own.
+ */
+const ROUTE_IGNORE = [
+    '**/_app.*',
+    '**/_document.*',
+    '**/_error.*',
+    '**/*.test.*',
+    '**/*.spec.*',
+    '**/*.stories.*',
+    '**/node_modules/**'
+];
+
+/** Converted route components live here, mirroring their Next.js path. */
+const COMPONENT_ROOT = 'src/components/routes';
+/** Generated .astro layouts live here, mirroring their Next.js folder. */
+const LAYOUT_ROOT = 'src/layouts/routes';
+/** The base layout the migration always generates. */
+export const BASE_LAYOUT = 'src/layouts/Layout.astro';
+
+/**
+ * Find the app/ router pages and layouts, the pages/ router pages and the
+ * API endpoints of a Next.js project. Each route records the Astro page or
+ * endpoint it becomes.
+ */
+export async function discoverRoutes(projectRoot, { ignore = [] } = {}) {
+    // API routes are endpoints, not pages.
+    const files = await fg(ROUTE_GLOBS, { cwd: projectRoot, onlyFiles: true, ignore: ['{src/,}pages/api/**', ...ROUTE_IGNORE, ...ignore] });
+    const pages = [];
+    const layouts = [];
+
+    for (const file of files.sort()) {
+        const [router, ...rest] = file.replace(/^src\//, '').split('/');
+        const name = path.basename(file).replace(/\.\w+$/, '');
+
+        if (router === 'app') {
+            const dirs = rest.slice(0, -1);
+            // Private folders, parallel routes and intercepting routes have no
+            // Astro equivalent.
+            if (dirs.some(dir => dir.startsWith('_') || dir.startsWith('@') || dir.startsWith('(.'))) continue;
+
+            const dir = ['app', ...dirs].join('/');
+            if (name === 'layout') {
+                layouts.push({ file, dir, component: componentPath(file) });
+            } else {
+                pages.push(createRoute(file, 'app', dir, dirs.filter(dir => !/^\(.*\)$/.test(dir))));
+            }
+        } else {
+            const segments = [...rest.slice(0, -1), name];
+            if (name === 'index') segments.pop();
+            pages.push(createRoute(file, 'pages', null, segments));
+        }
+    }
+
+    const endpoints = [];
+    const endpointFiles = await fg(ENDPOINT_GLOBS, { cwd: projectRoot, onlyFiles: true, ignore: [...ROUTE_IGNORE, ...ignore] });
+    for (const file of endpointFiles.sort()) {
+        const [router, ...rest] = file.replace(/^src\//, '').split('/');
+        const extension = path.extname(file);
+        if (router === 'pages') {
+            const segments = [...rest.slice(0, -1), path.basename(file, extension)].map(toAstroSegment);
+            endpoints.push({ file, kind: 'api', page: `src/pages/${segments.join('/')}${extension}` });
+        } else {
+            const dirs = rest.slice(0, -1);
+            if (dirs.some(dir => dir.startsWith('_') || dir.startsWith('@'))) continue;
+            const segments = dirs.filter(dir => !/^\(.*\)$/.test(dir)).map(toAstroSegment);
+            endpoints.push({ file, kind: 'route', page: `src/pages/${segments.length > 0 ? segments.join('/') : 'index'}${extension}` });
+        }
+    }
+
+    return { pages, layouts, endpoints };
+}
+
+/**
+ * Optional catch-alls (`[[...all]]`) are plain rest parameters in Astro,
+ * which also match the empty path.
+ */
+function toAstroSegment(segment) {
+    return segment.replace(/^\[\[(\.\.\.\w+)\]\]$/, '[$1]');
+}
+
+function createRoute(file, router, dir, segments) {
+    const astroSegments = segments.map(toAstroSegment);
+    return {
+        file,
+        router,
+        dir,
+        url: `/${astroSegments.join('/')}`,
+        dynamic: astroSegments.some(segment => segment.startsWith('[')),
+        component: componentPath(file),
+        page: `src/pages/${astroSegments.length > 0 ? astroSegments.join('/') : 'index'}.astro`
+    };
+}
+
+function componentPath(file) {
+    return `${COMPONENT_ROOT}/${file.replace(/^src\//, '')}`;
+}
+
+function layoutPath(layout) {
+    return `${LAYOUT_ROOT}/${layout.dir}/Layout.astro`;
+}
+
+/**
+ * Import specifier for `target` from the file at `from`, both relative to
+ * the new project root. Vite resolves the extension of component imports.
+ */
+function importPath(from, target) {
+    const relative = path.posix.relative(path.posix.dirname(from), target.replace(/\.(tsx|jsx|js)$/, ''));
+    return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+function exportsName(code, name) {
+    return new RegExp(`export\\s+(async\\s+)?(function\\s*\\*?|const|let|var)\\s+${name}\\b|export\\s*\\{[^}]*\\b${name}\\b`).test(code);
+}
+
+/**
+ * The innermost layout wrapping `route`: layouts apply to every page in
+ * their folder and below, route groups included.
+ */
+function closestLayout(layouts, dir) {
+    return layouts
+        .filter(layout => dir === layout.dir || dir.startsWith(`${layout.dir}/`))
+        .sort((a, b) => b.dir.length - a.dir.length)[0] || null;
+}
+
+/**
+ * Generate the .astro files for the discovered routes. `sources` maps each
+ * route and layout file to its converted Solid code, `heads` each route
+ * file to the markup lifted out of its next/head (or a root layout's
+ * <head>), and `documents` a root layout to the <html> lifted out of it
+ * (see liftNextHead). `importsOf(file)` lists the converted project
+ * modules a route file imports, whose needs count towards its hydration
+ * directive (see importedModules). Returns `{ file, content, island }`
+ * entries relative to the new project root, where `island` records the
+ * hydration directive picked for the component the file mounts.
+ */
+export function renderRoutes({ pages, layouts }, sources, heads = new Map(), documents = new Map(), importsOf = () => []) {
+    const files = [];
+
+    for (const layout of layouts) {
+        const parentDir = layout.dir.split('/').slice(0, -1).join('/');
+        const parent = parentDir ? closestLayout(layouts, parentDir) : null;
+        const code = sources.get(layout.file) || '';
+        // A layout still rendering <html> is the document and can never be an island.
+        const choice = /<html[\s>]/.test(code)
+            ? { directive: null, reasons: ['renders the <html> document, which is never hydrated'] }
+            : chooseDirective(code, layout.component, { imports: importsOf(layout.file) });
+        const file = layoutPath(layout);
+        const content = renderLayout(layout, parent, code, choice, documents.get(layout.file) || null, heads.get(layout.file) || []);
+        files.push({ file, content, island: { component: layout.component, page: file, ...choice } });
+    }
+    for (const route of pages) {
+        const layout = route.dir ? closestLayout(layouts, route.dir) : null;
+        const code = sources.get(route.file) || '';
+        const choice = chooseDirective(code, route.component, { imports: importsOf(route.file) });
+        files.push({ file: route.page, content: renderPage(route, layout, code, choice, heads.get(route.file) || []), island: { component: route.component, page: route.page, ...choice } });
+    }
+
+    return files;
+}
+
+/**
+ * The Astro layout around a route layout component. The page's title
+ * comes in as a prop, defaulting to the layout's `metadata.title`, and is
+ * passed up to the parent layout, or the base layout at the top. A root
+ * layout whose <html> was lifted out (`document`) renders the document,
+ * with the title and the page's head slot in its <head>.
+ */
+function renderLayout(layout, parent, code, choice, document, head) {
+    const file = layoutPath(layout);
+    // A root layout that still renders <html> (the lifting was not possible)
+    // is the document itself and gets no title
+    const rendersDocument = !document && /<html[\s>]/.test(code);
+    const wrapper = parent ? layoutPath(parent) : (document || rendersDocument ? null : BASE_LAYOUT);
+    const directive = directiveAttribute(choice);
+    const metadata = exportsName(code, 'metadata');
+
+    const imports = [];
+    if (wrapper) imports.push(`import ParentLayout from '${importPath(file, wrapper)}';`);
+    imports.push(`import RouteLayout${metadata ? ', { metadata }' : ''} from '${importPath(file, layout.component)}';`);
+
+    const body = `<RouteLayout${directive}><slot /></RouteLayout>`;
+    if (rendersDocument) {
+        return `---\n${imports.join('\n')}\n---\n${body}\n`;
+    }
+
+    // Nested layouts leave a missing title to their parent
+    const fallback = metadata ? ' = metadata.title' : (parent ? '' : ' = Astro.url.pathname');
+    const frontmatter = `---
+${imports.join('\n')}
+
+interface Props { title?: string; }
+const { title${fallback} } = Astro.props;
+---`;
+
+    if (document) {
+        const attributes = document.attributes.length > 0 ? ` ${document.attributes.join(' ')}` : '';
+        return `${frontmatter}
+<!doctype html>
+<html${attributes}>
+\t<head>
+\t\t<meta charset="UTF-8" />
+\t\t<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+\t\t<title>{title}</title>
+${head.map(markup => `\t\t${markup}\n`).join('')}\t\t<slot name="head" />
+\t</head>
+\t<body>
+\t\t${body}
+\t</body>
+</html>
+`;
+    }
+    const headSlot = head.length > 0
+        ? `\t<Fragment slot="head">\n${head.map(markup => `\t\t${markup}\n`).join('')}\t</Fragment>\n`
+        : '';
+    return `${frontmatter}
+<ParentLayout title={title}>
+${headSlot}\t<slot name="head" slot="head" />
+\t${body}
+</ParentLayout>
+`;
+}
+
+function renderPage(route, layout, code, choice, head) {
+    const file = route.page;
+    const wrapper = layout ? layoutPath(layout) : BASE_LAYOUT;
+    const named = [];
+    const frontmatter = [];
+    let props = '';
+
+    if (route.router === 'app') {
+        if (route.dynamic && exportsName(code, 'generateStaticParams')) {
+            named.push('generateStaticParams');
+            frontmatter.push(`export const prerender = true;
+
+export async function getStaticPaths() {
+    const params = await generateStaticParams();
+    return params.map((params) => ({ params }));
+}`);
+        }
+        props = ' params={Astro.params} searchParams={Object.fromEntries(Astro.url.searchParams)}';
+    } else {
+        const staticProps = exportsName(code, 'getStaticProps');
+        if (route.dynamic && exportsName(code, 'getStaticPaths')) {
+            named.push('getStaticPaths as getNextStaticPaths');
+            if (staticProps) named.push('getStaticProps');
+            frontmatter.push(`export const prerender = true;
+
+export async function getStaticPaths() {
+    const { paths } = await getNextStaticPaths();
+    return Promise.all(paths.map(async ({ params }) => ({
+        params,${staticProps ? '\n        props: (await getStaticProps({ params })).props,' : ''}
+    })));
+}
+
+const props = Astro.props;`);
+        } else if (staticProps) {
+            named.push('getStaticProps');
+            frontmatter.push(`export const prerender = true;
+
+const { props } = await getStaticProps({ params: Astro.params });`);
+        } else if (exportsName(code, 'getServerSideProps')) {
+            named.push('getServerSideProps');
+            frontmatter.push(`const { props = {} } = await getServerSideProps({
+    params: Astro.params,
+    query: Object.fromEntries(Astro.url.searchParams),
+    req: Astro.request,
+});`);
+        }
+        props = frontmatter.length > 0 ? ' {...props}' : '';
+    }
+
+    if (route.dynamic && frontmatter.length === 0) {
+        frontmatter.push('// Rendered on demand. To prerender this route, add `export const prerender = true`\n// and a getStaticPaths() listing its params.');
+    }
+    if (exportsName(code, 'metadata')) named.push('metadata');
+
+    // A static <title> from next/head becomes the layout's title
+    const titleTag = head.map(markup => markup.match(/^<title>([^<{}"]*)<\/title>$/)).find(Boolean);
+    const headMarkup = head.filter(markup => !titleTag || markup !== titleTag[0]);
+
+    const specifiers = named.length > 0 ? `Page, { ${named.join(', ')} }` : 'Page';
+    // Without a title of its own a page under a route layout gets the layout's
+    let title = layout ? '' : ` title="${route.url}"`;
+    if (named.includes('metadata')) title = ' title={metadata.title}';
+    else if (titleTag) title = ` title="${titleTag[1].trim()}"`;
+    const directive = directiveAttribute(choice);
+    const headSlot = headMarkup.length > 0
+        ? `\t<Fragment slot="head">\n${headMarkup.map(markup => `\t\t${markup}\n`).join('')}\t</Fragment>\n`
+        : '';
+
+    return `---
+import Layout from '${importPath(file, wrapper)}';
+import ${specifiers} from '${importPath(file, route.component)}';
+${frontmatter.length > 0 ? `\n${frontmatter.join('\n\n')}\n` : ''}---
+<Layout${title}>
+${headSlot}\t<Page${directive}${props} />
+</Layout>
+`;
+}
@@ -0,0 +1,190 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { writeOutput } from './manifest.js';
+
+/**
+ * Versions written to the generated package.json. Pinned so every
+ * migration produces the same project, with or without network access;
+ * bump them together.
+ */
+export const PINNED_VERSIONS = {
+    astro: '5.13.2',
+    '@astrojs/solid-js': '5.1.0',
+    '@astrojs/cloudflare': '12.6.0',
+    'solid-js': '1.9.9'
+};
+
+const ASTRO_CONFIG = `import { defineConfig } from 'astro/config';
+import solidJs from '@astrojs/solid-js';
+import cloudflare from '@astrojs/cloudflare';
+
+export default defineConfig({
+  output: 'server',
+  adapter: cloudflare({
+    platformProxy: { enabled: true },
+    mode: 'directory'
+  }),
+  integrations: [solidJs()],
+});
+`;
+
+const TSCONFIG = {
+    extends: 'astro/tsconfigs/strict',
+    include: ['.astro/types.d.ts', '**/*'],
+    // Quarantined files (see validate.js) are kept out of the build
+    exclude: ['dist', 'CONFLICTCHECK'],
+    compilerOptions: {
+        jsx: 'preserve',
+        jsxImportSource: 'solid-js'
+    }
+};
+
+/**
+ * tsconfig.json for the new project. `paths` carries the source project's
+ * import aliases over, pointed at the migrated folders.
+ */
+export function renderTsconfig(paths = {}) {
+    const config = Object.keys(paths).length > 0
+        ? { ...TSCONFIG, compilerOptions: { ...TSCONFIG.compilerOptions, baseUrl: '.', paths } }
+        : TSCONFIG;
+    return `${JSON.stringify(config, null, 2)}\n`;
+}
+
+const GITIGNORE = `# build output
+dist/
+.astro/
+
+# dependencies
+node_modules/
+
+# environment variables
+.env
+.env.production
+.dev.vars
+.wrangler/
+
+# logs
+npm-debug.log*
+
+# macOS
+.DS_Store
+`;
+
+const FAVICON = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 128 128"><rect width="128" height="128" rx="24" fill="#2c4f7c"/><path d="M36 88 64 32l28 56H76L64 62 52 88Z" fill="#fff"/></svg>
+`;
+
+/**
+ * wrangler.toml for Cloudflare Pages. `vars` are the environment variables
+ * the migrated endpoints read; they are listed empty so the names are
+ * known, and secrets among them belong in `wrangler secret put` instead.
+ */
+export function renderWranglerToml({ cloudflareName, compatibilityDate = new Date().toISOString().split('T')[0], vars = [] }) {
+    let content = `name = "${cloudflareName}"\ncompatibility_date = "${compatibilityDate}"\n\n[pages_build_output]\ndir = "./dist"\n`;
+    if (vars.length > 0) {
+        content += '\n# Read through Astro.locals.runtime.env. Fill in the values, or store secrets with\n# `npx wrangler secret put <NAME>` and remove them from here.\n[vars]\n';
+        content += vars.map(name => `${name} = ""\n`).join('');
+    }
+    return content;
+}
+
+/**
+ * Astro's client types (imports of stylesheets, CSS Modules and images,
+ * import.meta.env), which tsc does not know without `astro sync`, and
+ * `Astro.locals.runtime`, so `locals.runtime.env.NAME` type-checks.
+ */
+export function renderEnvTypes(vars = []) {
+    const fields = vars.map(name => `\t${name}: string;\n`).join('');
+    return `/// <reference types="astro/client" />
+
+type Runtime = import('@astrojs/cloudflare').Runtime<Env>;
+
+interface Env {
+${fields}}
+
+declare namespace App {
+\tinterface Locals extends Runtime {}
+}
+`;
+}
+
+/**
+ * Skeleton directories created empty; the migration fills them in.
+ */
+const SOURCE_DIRS = ['src/components', 'src/layouts', 'src/pages'];
+
+/**
+ * npm package names are lowercase and URL-safe.
+ */
+function packageName(name) {
+    return path.basename(name).toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[._-]+/, '') || 'astro-solid-app';
+}
+
+/**
+ * The files of a minimal Astro + SolidJS + Cloudflare project, keyed by
+ * path relative to the project root. `dependencies` are added to the pinned
+ * ones: the packages the migrated code still imports.
+ */
+export function createTemplate({ name, cloudflareName, compatibilityDate, paths, dependencies = {} }) {
+    const allDependencies = { ...dependencies, ...PINNED_VERSIONS };
+    const packageJson = {
+        name: packageName(name),
+        type: 'module',
+        version: '0.0.1',
+        private: true,
+        scripts: {
+            dev: 'astro dev',
+            build: 'astro build',
+            preview: 'astro preview',
+            astro: 'astro'
+        },
+        dependencies: Object.fromEntries(Object.keys(allDependencies).sort().map(dependency => [dependency, allDependencies[dependency]]))
+    };
+
+    return {
+        'package.json': `${JSON.stringify(packageJson, null, 2)}\n`,
+        'tsconfig.json': renderTsconfig(paths),
+        'astro.config.mjs': ASTRO_CONFIG,
+        'wrangler.toml': renderWranglerToml({ cloudflareName, compatibilityDate }),
+        'src/env.d.ts': renderEnvTypes(),
+        '.gitignore': GITIGNORE,
+        'public/favicon.svg': FAVICON
+    };
+}
+
+/**
+ * Template files that follow the source project, and so are written again
+ * when resuming. The others are only written when missing.
+ */
+const REFRESHED_ON_RESUME = new Set(['package.json', 'tsconfig.json']);
+
+/**
+ * Write the template into `projectRoot` without touching the network.
+ * Refuses to write into a directory that already has files in it, unless
+ * `resume` is set because it holds an earlier run of the migration. With a
+ * `manifest` (see manifest.js) the files are recorded in it, and files
+ * edited by hand since they were written are left alone.
+ * Returns the paths written, relative to the project root.
+ */
+export async function scaffoldProject(projectRoot, options, { manifest = null, resume = false } = {}) {
+    if (!resume && await fs.pathExists(projectRoot) && (await fs.readdir(projectRoot)).length > 0) {
+        throw new Error(`Target directory is not empty: ${projectRoot}`);
+    }
+
+    const written = [];
+    for (const [file, content] of Object.entries(createTemplate(options))) {
+        if (resume && !REFRESHED_ON_RESUME.has(file) && await fs.pathExists(path.join(projectRoot, file))) continue;
+        if (manifest) {
+            if (await writeOutput(projectRoot, manifest, file, content) !== 'written') continue;
+        } else {
+            const filePath = path.join(projectRoot, file);
+            await fs.ensureDir(path.dirname(filePath));
+            await fs.writeFile(filePath, content);
+        }
+        written.push(file);
+    }
+    for (const dir of SOURCE_DIRS) {
+        await fs.ensureDir(path.join(projectRoot, dir));
+    }
+
+    return written;
+}
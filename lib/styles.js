@@ -0,0 +1,154 @@
+import path from 'path';
+import fs from 'fs-extra';
+import jscodeshift from 'jscodeshift';
+import { detectQuoteStyle } from './ast-utils.js';
+
+/**
+ * Stylesheets, whose url() and @import references are followed and
+ * rewritten like the imports of code files.
+ */
+const STYLESHEET = /\.(css|scss|sass|less)$/;
+
+/**
+ * `@import 'x'`, `@import url(x)`, `url(x)` and CSS Modules'
+ * `composes: a from 'x'`. The specifier is the third group.
+ */
+const STYLE_REFERENCE = /(@import\s+(?:url\(\s*)?|url\(\s*|composes:[^;{}]*?\bfrom\s+)(['"]?)([^'"()\s;]+)\2/g;
+
+/** References that are not files of the project: data URIs, URLs, public files, fragments. */
+const EXTERNAL_REFERENCE = /^(data:|[a-z]+:\/\/|\/|#)/i;
+
+/** Tailwind and PostCSS configs at the project root, carried over as they are. */
+const STYLE_CONFIGS = [
+    'tailwind.config.js', 'tailwind.config.cjs', 'tailwind.config.mjs', 'tailwind.config.ts',
+    'postcss.config.js', 'postcss.config.cjs', 'postcss.config.mjs', 'postcss.config.json', '.postcssrc', '.postcssrc.json'
+];
+
+/** Packages the configs above load. */
+const STYLE_PACKAGE = /^(tailwindcss|postcss|autoprefixer|cssnano|sass|less|@tailwindcss\/.+|tailwindcss-.+|postcss-.+|tailwind-.+)$/;
+
+/** Where Tailwind looks for class names in the new project. */
+const TAILWIND_CONTENT = './src/**/*.{astro,html,js,jsx,md,mdx,ts,tsx}';
+
+export function isStylesheet(file) {
+    return STYLESHEET.test(file);
+}
+
+/**
+ * The files a stylesheet references, as `{ specifier, start, end }` with
+ * the specifier's position in `code`.
+ */
+export function listStyleReferences(code) {
+    const references = [];
+    for (const match of code.matchAll(STYLE_REFERENCE)) {
+        const specifier = match[3];
+        if (EXTERNAL_REFERENCE.test(specifier)) continue;
+        const start = match.index + match[1].length + match[2].length;
+        references.push({ specifier, start, end: start + specifier.length });
+    }
+    return references;
+}
+
+/**
+ * Resolve a stylesheet reference with the project resolver (see
+ * imports.js). In CSS `url(hero.png)` is relative to the stylesheet, and
+ * `~` marks a package or alias for webpack.
+ */
+export function resolveStyleReference(resolve, specifier, file) {
+    if (!/^[.~]/.test(specifier)) {
+        const relative = resolve(`./${specifier}`, file);
+        if (relative.kind === 'file') return relative;
+    }
+    return resolve(specifier.replace(/^~/, ''), file);
+}
+
+/**
+ * Point the references of a stylesheet migrated from `sourceFile` at where
+ * the files they name ended up (see rewriteImports in imports.js).
+ */
+export function rewriteStyleReferences(code, sourceFile, { resolve, targets }) {
+    const targetDir = path.posix.dirname(targets.get(sourceFile));
+    let rewritten = '';
+    let last = 0;
+    for (const { specifier, start, end } of listStyleReferences(code)) {
+        const resolved = resolveStyleReference(resolve, specifier, sourceFile);
+        if (resolved.kind !== 'file' || !targets.has(resolved.file)) continue;
+
+        let updated = path.posix.relative(targetDir, targets.get(resolved.file));
+        if (specifier.startsWith('.') && !updated.startsWith('.')) updated = `./${updated}`;
+        rewritten += code.slice(last, start) + updated;
+        last = end;
+    }
+    return rewritten + code.slice(last);
+}
+
+/**
+ * The stylesheets a Pages Router `_app` imports. They apply to every page,
+ * so the new base layout imports them.
+ */
+export async function findGlobalStylesheets(projectRoot, resolve) {
+    const stylesheets = [];
+    for (const app of ['pages', 'src/pages']) {
+        for (const extension of ['.tsx', '.jsx', '.ts', '.js']) {
+            const file = `${app}/_app${extension}`;
+            if (!await fs.pathExists(path.join(projectRoot, file))) continue;
+
+            const j = jscodeshift.withParser('tsx');
+            j(await fs.readFile(path.join(projectRoot, file), 'utf-8')).find(j.ImportDeclaration).forEach(declaration => {
+                const resolved = resolve(declaration.node.source.value, file);
+                if (resolved.kind === 'file' && isStylesheet(resolved.file)) stylesheets.push(resolved.file);
+            });
+        }
+    }
+    return stylesheets;
+}
+
+/**
+ * The Tailwind and PostCSS configs of the source project, and the packages
+ * they need at the versions in its package.json. Returns `{ configs,
+ * dependencies }`, each config as `{ file, target }`: CommonJS configs get
+ * a .cjs extension, as the new project is an ES module package.
+ */
+export async function findStyleConfigs(projectRoot, packageJson) {
+    const configs = [];
+    for (const file of STYLE_CONFIGS) {
+        const source = path.join(projectRoot, file);
+        if (!await fs.pathExists(source)) continue;
+        const commonJs = file.endsWith('.js') && /\bmodule\.exports\b|\brequire\(/.test(await fs.readFile(source, 'utf-8'));
+        configs.push({ file, target: commonJs ? file.replace(/\.js$/, '.cjs') : file });
+    }
+
+    const { dependencies: runtime = {}, devDependencies = {} } = packageJson || {};
+    const declared = { ...devDependencies, ...runtime };
+    const dependencies = {};
+    if (configs.length > 0) {
+        for (const name of Object.keys(declared).filter(name => STYLE_PACKAGE.test(name))) {
+            dependencies[name] = declared[name];
+        }
+    }
+    return { configs, dependencies };
+}
+
+/**
+ * A config carried over to the new project. Tailwind's `content` globs
+ * point at the old folders, so they are replaced with src/, where
+ * everything now lives.
+ */
+export function migrateStyleConfig(code, file) {
+    if (!file.startsWith('tailwind.config.')) return code;
+
+    const j = jscodeshift.withParser(file.endsWith('.ts') ? 'ts' : 'tsx');
+    const root = j(code);
+    let changed = false;
+    root.find(j.ObjectProperty).filter(path => ['content', 'purge'].includes(path.node.key.name || path.node.key.value)).forEach(path => {
+        let globs = path.node.value;
+        if (globs.type === 'ObjectExpression') {
+            const files = globs.properties.find(property => property.key && property.key.name === 'files');
+            globs = files ? files.value : null;
+        }
+        if (!globs || globs.type !== 'ArrayExpression') return;
+        globs.elements = [j.stringLiteral(TAILWIND_CONTENT)];
+        changed = true;
+    });
+    return changed ? root.toSource({ quote: detectQuoteStyle(code) }) : code;
+}
@@ -0,0 +1,185 @@
+import { isReference } from '../ast-utils.js';
+
+/**
+ * Turn JSX control flow written as expressions into Solid's components:
+ * - `{items.map((item) => <li />)}` -> `<For each={items}>{(item) => <li />}</For>`,
+ *   or `<Index>` when the list is keyed by its index,
+ * - `{cond && <X />}` -> `<Show when={cond}><X /></Show>`,
+ * - `{cond ? <A /> : <B />}` -> `<Show when={cond} fallback={<B />}><A /></Show>`,
+ * - chained ternaries -> `<Switch fallback={...}><Match when={...}>...</Match></Switch>`.
+ * `key` props on list items are dropped; Solid tracks items by reference.
+ */
+export function convertControlFlow(ctx) {
+    const { j, root } = ctx;
+    let changed = false;
+
+    // Innermost containers first, so nested lists and conditions are
+    // converted before the expressions around them.
+    const containers = root.find(j.JSXExpressionContainer)
+        .filter(path => path.parent.node.type === 'JSXElement' || path.parent.node.type === 'JSXFragment')
+        .paths()
+        .reverse();
+
+    for (const path of containers) {
+        const indent = path.node.loc ? ' '.repeat(path.node.loc.start.column) : '';
+        const replacement = convertExpression(ctx, path.get('expression'), indent);
+        if (replacement) {
+            path.replace(replacement);
+            changed = true;
+        }
+    }
+
+    return changed;
+}
+
+function convertExpression(ctx, path, indent) {
+    const node = path.node;
+    if (isMapCall(node)) return convertList(ctx, path);
+    if (node.type === 'LogicalExpression' && node.operator === '&&' && isJSX(node.right)) {
+        return buildShow(ctx, node.left, node.right, null);
+    }
+    if (node.type === 'ConditionalExpression' && (isJSX(node.consequent) || isJSX(node.alternate))) {
+        return convertConditional(ctx, node, indent);
+    }
+    return null;
+}
+
+function isJSX(node) {
+    return node.type === 'JSXElement' || node.type === 'JSXFragment';
+}
+
+function isEmpty(node) {
+    return node.type === 'NullLiteral' || (node.type === 'Literal' && node.value === null)
+        || (node.type === 'Identifier' && node.name === 'undefined');
+}
+
+function isMapCall(node) {
+    const callee = node.type === 'CallExpression' || node.type === 'OptionalCallExpression' ? node.callee : null;
+    if (!callee || (callee.type !== 'MemberExpression' && callee.type !== 'OptionalMemberExpression')) return false;
+    if (callee.computed || callee.property.name !== 'map') return false;
+
+    const callback = node.arguments[0];
+    return Boolean(callback) && node.arguments.length === 1
+        && (callback.type === 'ArrowFunctionExpression' || callback.type === 'FunctionExpression')
+        && callback.params.length <= 2
+        && callback.params.every(param => param.type === 'Identifier' || param.type === 'ObjectPattern')
+        && Boolean(returnedJSX(callback));
+}
+
+/**
+ * The JSX element a map callback renders, from an expression body or the
+ * last `return` of a block body.
+ */
+function returnedJSX(callback) {
+    let body = callback.body;
+    if (body.type === 'BlockStatement') {
+        const last = body.body[body.body.length - 1];
+        body = last && last.type === 'ReturnStatement' ? last.argument : null;
+    }
+    return body && isJSX(body) ? body : null;
+}
+
+function convertList(ctx, path) {
+    const { j } = ctx;
+    const callbackPath = path.get('arguments', 0);
+    const callback = callbackPath.node;
+    const [item, index] = callback.params;
+    const element = returnedJSX(callback);
+
+    const key = removeKey(element);
+    const keyedByIndex = Boolean(index) && Boolean(key) && key.type === 'Identifier' && key.name === index.name;
+    const component = keyedByIndex ? 'Index' : 'For';
+
+    // <For> passes the index as an accessor; <Index> passes the item as one.
+    const accessor = keyedByIndex ? item : index;
+    if (accessor && accessor.type === 'Identifier') {
+        callAccessor(j, callbackPath, accessor.name);
+    }
+
+    ctx.solidImports.add(component);
+    return buildElement(j, component, [['each', path.node.callee.object]], [j.jsxExpressionContainer(callback)]);
+}
+
+function removeKey(element) {
+    if (element.type !== 'JSXElement') return null;
+    const attributes = element.openingElement.attributes;
+    const index = attributes.findIndex(attribute =>
+        attribute.type === 'JSXAttribute' && attribute.name.name === 'key'
+    );
+    if (index === -1) return null;
+
+    const [key] = attributes.splice(index, 1);
+    return key.value && key.value.type === 'JSXExpressionContainer' ? key.value.expression : key.value;
+}
+
+function callAccessor(j, callbackPath, name) {
+    const scope = callbackPath.scope;
+    j(callbackPath.get('body')).find(j.Identifier, { name })
+        .filter(path => isReference(path) && path.scope.lookup(name) === scope)
+        .forEach(path => {
+            const parent = path.parent.node;
+            if ((parent.type === 'ObjectProperty' || parent.type === 'Property') && parent.shorthand) {
+                parent.shorthand = false;
+            }
+            path.replace(j.callExpression(j.identifier(name), []));
+        });
+}
+
+/**
+ * `a ? X : b ? Y : Z` with more than one condition becomes a Switch; a
+ * single condition becomes a Show with a fallback.
+ */
+function convertConditional(ctx, node, indent) {
+    const { j } = ctx;
+    const branches = [];
+    let current = node;
+    while (current.type === 'ConditionalExpression') {
+        branches.push({ when: current.test, body: current.consequent });
+        current = current.alternate;
+    }
+    const fallback = isEmpty(current) ? null : current;
+
+    if (branches.length === 1) {
+        const [{ when, body }] = branches;
+        if (isEmpty(body) && fallback) {
+            return buildShow(ctx, j.unaryExpression('!', when), fallback, null);
+        }
+        return buildShow(ctx, when, body, fallback);
+    }
+
+    ctx.solidImports.add('Switch');
+    ctx.solidImports.add('Match');
+    const children = [];
+    for (const { when, body } of branches) {
+        children.push(j.jsxText(`\n${indent}    `));
+        children.push(buildElement(j, 'Match', [['when', when]], isEmpty(body) ? [] : [toChild(j, body)]));
+    }
+    children.push(j.jsxText(`\n${indent}`));
+    return buildElement(j, 'Switch', fallback ? [['fallback', fallback]] : [], children);
+}
+
+function buildShow(ctx, when, body, fallback) {
+    const { j } = ctx;
+    ctx.solidImports.add('Show');
+    const attributes = [['when', when]];
+    if (fallback) attributes.push(['fallback', fallback]);
+    return buildElement(j, 'Show', attributes, [toChild(j, body)]);
+}
+
+function toChild(j, node) {
+    if (!isJSX(node)) return j.jsxExpressionContainer(node);
+    // `cond && (<div>...</div>)` keeps its parentheses otherwise, which
+    // would render as text once the element is a JSX child.
+    if (node.extra && node.extra.parenthesized) {
+        node.extra = { ...node.extra, parenthesized: false };
+    }
+    return node;
+}
+
+function buildElement(j, name, attributes, children) {
+    const opening = j.jsxOpeningElement(
+        j.jsxIdentifier(name),
+        attributes.map(([attribute, value]) => j.jsxAttribute(j.jsxIdentifier(attribute), j.jsxExpressionContainer(value)))
+    );
+    return j.jsxElement(opening, j.jsxClosingElement(j.jsxIdentifier(name)), children);
+}
@@ -0,0 +1,63 @@
+import { functionName, isCustomHookName, toPrimitiveName } from '../custom-hooks.js';
+
+/**
+ * Rename the project's custom hooks to Solid-style primitives
+ * (`useCounter` -> `createCounter`): their definitions, imports, exports and
+ * call sites. Hooks imported from packages (`useQuery`, `useRouter`) keep
+ * their names.
+ */
+export function renameCustomHooks(ctx) {
+    const { j, root } = ctx;
+    const names = new Set(ctx.customHooks.keys());
+    root.find(j.Function).forEach(path => {
+        const name = functionName(path);
+        if (name && isCustomHookName(name)) names.add(name);
+    });
+
+    let changed = false;
+    for (const name of names) {
+        if (isPackageImport(ctx, name)) continue;
+
+        const renamed = toPrimitiveName(name);
+        root.find(j.Identifier, { name })
+            .filter(path => !isPropertyName(path))
+            .forEach(path => {
+                path.node.name = renamed;
+                changed = true;
+            });
+    }
+
+    return changed;
+}
+
+function isPackageImport(ctx, name) {
+    const { j, root } = ctx;
+    return root.find(j.ImportDeclaration)
+        .filter(path => !isProjectSource(ctx, path.node.source.value))
+        .find(j.Identifier, { name })
+        .size() > 0;
+}
+
+/**
+ * Imports of project files, as the `resolveImport` option (the project's
+ * resolver, see imports.js) finds them, tsconfig aliases and baseUrl
+ * included. Converting a file on its own, without a project, only relative
+ * imports and the usual aliases (`@/`, `~/`) are known to be.
+ */
+function isProjectSource(ctx, source) {
+    if (source.startsWith('.')) return true;
+    const { resolveImport } = ctx.options;
+    if (resolveImport) return resolveImport(source, ctx.filePath).kind === 'file';
+    return source.startsWith('/') || source.startsWith('@/') || source.startsWith('~/');
+}
+
+function isPropertyName(path) {
+    const parent = path.parent.node;
+    if ((parent.type === 'MemberExpression' || parent.type === 'OptionalMemberExpression') && parent.property === path.node) {
+        return !parent.computed;
+    }
+    if ((parent.type === 'ObjectProperty' || parent.type === 'Property') && parent.key === path.node) {
+        return !parent.computed && !parent.shorthand;
+    }
+    return path.node.type !== 'Identifier';
+}
@@ -0,0 +1,13 @@
+/**
+ * Remove Next.js 'use client' directives. Astro decides where a component
+ * runs through its client:* directives instead.
+ */
+export function removeDirectives(ctx) {
+    const program = ctx.root.get().node.program;
+    const directives = program.directives || [];
+    const kept = directives.filter(directive => directive.value.value !== 'use client');
+
+    if (kept.length === directives.length) return false;
+    program.directives = kept;
+    return true;
+}
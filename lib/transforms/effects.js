@@ -0,0 +1,110 @@
+import { getReactName } from '../ast-utils.js';
+
+const EFFECT_HOOKS = new Set(['useEffect', 'useLayoutEffect']);
+
+/**
+ * Convert useEffect and useLayoutEffect. Solid runs effects after the DOM is
+ * created and before paint, so both hooks map the same way:
+ * - an empty dependency array becomes onMount,
+ * - anything else becomes createEffect, which tracks its own dependencies,
+ *   or `createEffect(on([...deps], fn))` with the strictEffects option,
+ * - a returned cleanup function is registered with onCleanup.
+ *
+ * Runs after signal-reads, so dependencies that are signals are already
+ * `count()` calls and are passed to on() as the `count` accessor again.
+ */
+export function convertEffects(ctx) {
+    const { j, root } = ctx;
+    let changed = false;
+
+    root.find(j.CallExpression)
+        .filter(path => EFFECT_HOOKS.has(getReactName(ctx, path.node.callee)))
+        .forEach(path => {
+            const [callback, deps] = path.node.arguments;
+            if (!callback) return;
+
+            if (isFunction(callback) && callback.body.type === 'BlockStatement') {
+                convertCleanups(ctx, path.get('arguments', 0));
+            }
+
+            const hasDeps = Boolean(deps) && deps.type === 'ArrayExpression';
+            if (hasDeps && deps.elements.length === 0) {
+                path.node.callee = j.identifier('onMount');
+                path.node.arguments = [callback];
+                ctx.solidImports.add('onMount');
+            } else if (hasDeps && ctx.options.strictEffects) {
+                path.node.callee = j.identifier('createEffect');
+                path.node.arguments = [j.callExpression(j.identifier('on'), [toAccessors(ctx, deps), callback])];
+                ctx.solidImports.add('createEffect');
+                ctx.solidImports.add('on');
+            } else {
+                path.node.callee = j.identifier('createEffect');
+                path.node.arguments = [callback];
+                ctx.solidImports.add('createEffect');
+            }
+            changed = true;
+        });
+
+    return changed;
+}
+
+function isFunction(node) {
+    return node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression';
+}
+
+/**
+ * Replace `return cleanup` in the effect body (not in nested functions)
+ * with `onCleanup(cleanup)`.
+ */
+function convertCleanups(ctx, callbackPath) {
+    const { j } = ctx;
+    const callback = callbackPath.node;
+    const statements = callback.body.body;
+
+    j(callbackPath.get('body'))
+        .find(j.ReturnStatement)
+        .filter(path => path.node.argument && closestFunction(path) === callback)
+        .forEach(path => {
+            const register = j.expressionStatement(
+                j.callExpression(j.identifier('onCleanup'), [path.node.argument])
+            );
+            register.comments = path.node.comments;
+
+            if (statements[statements.length - 1] === path.node) {
+                path.replace(register);
+            } else if (path.parent.node.type === 'BlockStatement') {
+                path.insertBefore(register);
+                path.replace(j.returnStatement(null));
+            } else {
+                path.replace(j.blockStatement([register, j.returnStatement(null)]));
+            }
+            ctx.solidImports.add('onCleanup');
+        });
+}
+
+function closestFunction(path) {
+    let current = path.parent;
+    while (current && !isFunction(current.node) && current.node.type !== 'FunctionDeclaration') {
+        current = current.parent;
+    }
+    return current ? current.node : null;
+}
+
+/**
+ * Signal getters are accessors already; any other dependency is wrapped in
+ * an arrow so on() reads it lazily. A single dependency is passed on its own.
+ */
+function toAccessors(ctx, deps) {
+    const { j } = ctx;
+    const signals = new Set(ctx.signals.map(signal => signal.name));
+
+    const accessors = deps.elements.map(element => {
+        if (element.type === 'CallExpression' && element.arguments.length === 0
+            && element.callee.type === 'Identifier' && signals.has(element.callee.name)) {
+            return element.callee;
+        }
+        return j.arrowFunctionExpression([], element);
+    });
+
+    return accessors.length === 1 ? accessors[0] : j.arrayExpression(accessors);
+}
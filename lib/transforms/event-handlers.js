@@ -0,0 +1,41 @@
+import { findAttribute, isTextField } from '../ast-utils.js';
+
+/**
+ * Convert form event handlers. React's onChange on a text field fires on
+ * every keystroke, which is onInput in Solid; on checkboxes, radios, file
+ * pickers and selects it is the DOM change event and stays. Solid's events
+ * are not pooled, so `e.persist()` calls are dropped.
+ */
+export function convertEventHandlers(ctx) {
+    const { j, root } = ctx;
+    let changed = false;
+
+    root.find(j.JSXOpeningElement).filter(path => isTextField(path.node)).forEach(path => {
+        const onChange = findAttribute(path.node.attributes, 'onChange');
+        if (!onChange || findAttribute(path.node.attributes, 'onInput')) return;
+
+        onChange.name = j.jsxIdentifier('onInput');
+        changed = true;
+    });
+
+    root.find(j.ExpressionStatement, {
+        expression: {
+            type: 'CallExpression',
+            callee: { type: 'MemberExpression', object: { type: 'Identifier' }, property: { name: 'persist' } }
+        }
+    }).filter(path => path.node.expression.arguments.length === 0 && isEventParameter(j, path, path.node.expression.callee.object.name))
+        .forEach(path => {
+            path.prune();
+            changed = true;
+        });
+
+    return changed;
+}
+
+/** True when `name` is the first parameter of the function around `path`. */
+function isEventParameter(j, path, name) {
+    const handler = j(path).closest(j.Function);
+    if (handler.size() === 0) return false;
+    const [event] = handler.get().node.params;
+    return Boolean(event) && event.type === 'Identifier' && event.name === name;
+}
@@ -0,0 +1,25 @@
+import { replaceStatement, removeStatement } from '../ast-utils.js';
+
+/**
+ * Fold `function Name() {}` ... `export default Name;` into
+ * `export default function Name() {}` so components keep a single,
+ * named default export.
+ */
+export function convertExports(ctx) {
+    const { j, root } = ctx;
+    let changed = false;
+
+    root.find(j.ExportDefaultDeclaration, { declaration: { type: 'Identifier' } }).forEach(exportPath => {
+        const name = exportPath.node.declaration.name;
+        const declaration = root.find(j.FunctionDeclaration, { id: { name } })
+            .filter(path => path.parent.node.type === 'Program');
+        if (declaration.size() !== 1) return;
+
+        const functionPath = declaration.paths()[0];
+        replaceStatement(functionPath, j.exportDefaultDeclaration(functionPath.node));
+        removeStatement(exportPath);
+        changed = true;
+    });
+
+    return changed;
+}
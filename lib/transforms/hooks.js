@@ -0,0 +1,189 @@
+import { getReactName, isReference, parseStatement, replaceStatement, toSource } from '../ast-utils.js';
+
+/**
+ * Hooks whose Solid counterpart has the same signature.
+ */
+const RENAMED_HOOKS = {
+    createContext: 'createContext',
+    useContext: 'useContext',
+    useId: 'createUniqueId'
+};
+
+/**
+ * Convert React hooks to their Solid primitives:
+ * useState -> createSignal, useMemo -> createMemo, useReducer -> a signal
+ * and a dispatch function, useCallback -> the callback itself,
+ * createContext/useContext -> solid-js context, useId -> createUniqueId.
+ * Values returned by custom hooks are registered as accessors where the
+ * hook returns signals. Refs and effects have transforms of their own.
+ */
+export function convertHooks(ctx) {
+    const { j, root } = ctx;
+    let changed = false;
+
+    root.find(j.CallExpression).forEach(path => {
+        const hook = getReactName(ctx, path.node.callee);
+        const args = path.node.arguments;
+
+        switch (hook) {
+            case 'useState':
+                path.node.callee = j.identifier('createSignal');
+                if (args[0] && isLazyInitializer(args[0])) {
+                    args[0] = unwrapInitializer(j, args[0]);
+                }
+                recordSignal(ctx, path);
+                ctx.solidImports.add('createSignal');
+                break;
+            case 'useMemo':
+                path.node.callee = j.identifier('createMemo');
+                path.node.arguments = args.slice(0, 1);
+                recordMemo(ctx, path);
+                ctx.solidImports.add('createMemo');
+                break;
+            case 'useCallback':
+                if (!args[0]) return;
+                path.replace(args[0]);
+                break;
+            case 'useReducer':
+                if (!convertReducer(ctx, path)) return;
+                break;
+            case 'createContext':
+            case 'useContext':
+            case 'useId':
+                path.node.callee = j.identifier(RENAMED_HOOKS[hook]);
+                ctx.solidImports.add(RENAMED_HOOKS[hook]);
+                break;
+            default:
+                if (path.node.callee.type === 'Identifier' && ctx.customHooks.has(path.node.callee.name)) {
+                    recordHookResult(ctx, path, ctx.customHooks.get(path.node.callee.name));
+                }
+                return;
+        }
+        changed = true;
+    });
+
+    return changed;
+}
+
+function isLazyInitializer(node) {
+    return (node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression') && node.params.length === 0;
+}
+
+/**
+ * createSignal stores functions as values, so `useState(() => init)` has to
+ * become `createSignal(init)`.
+ */
+function unwrapInitializer(j, fn) {
+    if (fn.body.type !== 'BlockStatement') {
+        if (fn.body.extra) fn.body.extra.parenthesized = false;
+        return fn.body;
+    }
+    return j.callExpression(j.parenthesizedExpression(fn), []);
+}
+
+/**
+ * Remember `[getter, setter]` pairs and the scope that declares them, so the
+ * signal-reads transform can turn every read of the getter into a call.
+ */
+function recordSignal(ctx, path) {
+    const declarator = path.parent.node;
+    if (declarator.type !== 'VariableDeclarator' || declarator.id.type !== 'ArrayPattern') return;
+
+    const [getter, setter] = declarator.id.elements;
+    if (getter && getter.type === 'Identifier') {
+        ctx.signals.push({
+            name: getter.name,
+            setter: setter && setter.type === 'Identifier' ? setter.name : null,
+            scope: path.scope.lookup(getter.name).node
+        });
+    }
+}
+
+/**
+ * createMemo returns an accessor too, so memo reads are rewritten the same
+ * way as signal reads.
+ */
+function recordMemo(ctx, path) {
+    const declarator = path.parent.node;
+    if (declarator.type !== 'VariableDeclarator' || declarator.id.type !== 'Identifier') return;
+
+    const name = declarator.id.name;
+    ctx.signals.push({ name, setter: null, scope: path.scope.lookup(name).node });
+}
+
+/**
+ * `const [state, dispatch] = useReducer(reducer, initial)` becomes a signal
+ * holding the state and a dispatch function that runs the reducer:
+ *
+ *     const [state, setState] = createSignal(initial);
+ *     const dispatch = (action) => setState((prev) => reducer(prev, action));
+ */
+function convertReducer(ctx, path) {
+    const { j } = ctx;
+    const declarator = path.parent.node;
+    const declarationPath = path.parent.parent;
+    const [reducer, initialArg, init] = path.node.arguments;
+    if (!reducer || declarator.type !== 'VariableDeclarator' || declarator.id.type !== 'ArrayPattern'
+        || declarationPath.node.declarations.length !== 1) {
+        return false;
+    }
+
+    const [state, dispatch] = declarator.id.elements;
+    if (!state || state.type !== 'Identifier') return false;
+
+    const setter = `set${state.name[0].toUpperCase()}${state.name.slice(1)}`;
+    const initial = init ? `${toSource(j, init)}(${toSource(j, initialArg)})` : toSource(j, initialArg);
+    const kind = declarationPath.node.kind;
+    ctx.signals.push({ name: state.name, setter, scope: path.scope.lookup(state.name).node });
+
+    const statements = [parseStatement(j, `${kind} [${state.name}, ${setter}] = createSignal(${initial});`)];
+    if (dispatch && dispatch.type === 'Identifier') {
+        const reducerSource = toSource(j, reducer);
+        const actionType = ctx.isTypeScript && reducer.type === 'Identifier' ? `: Parameters<typeof ${reducerSource}>[1]` : '';
+        statements.push(parseStatement(j,
+            `${kind} ${dispatch.name} = (action${actionType}) => ${setter}((prev) => ${reducerSource}(prev, action));`
+        ));
+    }
+
+    replaceStatement(declarationPath, statements[0]);
+    if (statements[1]) declarationPath.insertAfter(statements[1]);
+    ctx.solidImports.add('createSignal');
+    return true;
+}
+
+/**
+ * Register the accessors a custom hook hands back at its call site:
+ * `const count = useCount()`, `const [count] = useCounter()`,
+ * `const { count } = useCounter()` and `counter.count` member reads.
+ */
+function recordHookResult(ctx, path, info) {
+    const { j } = ctx;
+    const declarator = path.parent.node;
+    if (declarator.type !== 'VariableDeclarator') return;
+
+    const record = name => ctx.signals.push({ name, setter: null, scope: path.scope.lookup(name).node });
+    const id = declarator.id;
+
+    if (id.type === 'Identifier' && info.accessor) {
+        record(id.name);
+    } else if (id.type === 'ArrayPattern') {
+        for (const index of info.indexes) {
+            const element = id.elements[index];
+            if (element && element.type === 'Identifier') record(element.name);
+        }
+    } else if (id.type === 'ObjectPattern') {
+        for (const property of id.properties) {
+            if ((property.type === 'ObjectProperty' || property.type === 'Property') && !property.computed
+                && info.keys.includes(property.key.name) && property.value.type === 'Identifier') {
+                record(property.value.name);
+            }
+        }
+    } else if (id.type === 'Identifier' && info.keys.length > 0) {
+        const scope = path.scope.lookup(id.name);
+        j(scope.path).find(j.MemberExpression, { object: { type: 'Identifier', name: id.name }, computed: false })
+            .filter(member => info.keys.includes(member.node.property.name)
+                && isReference(member.get('object')) && member.scope.lookup(id.name) === scope)
+            .filter(member => !(member.parent.node.type === 'CallExpression' && member.parent.node.callee === member.node))
+            .forEach(member => member.replace(j.callExpression(member.node, [])));
+    }
+}
@@ -0,0 +1,42 @@
+import { removeDirectives } from './directives.js';
+import { removeReactImports } from './react-imports.js';
+import { convertNextModules } from './next-modules.js';
+import { convertReactPackages } from './react-packages.js';
+import { convertHooks } from './hooks.js';
+import { convertRefs } from './refs.js';
+import { convertProps } from './props.js';
+import { convertSignalReads } from './signals.js';
+import { convertEffects } from './effects.js';
+import { convertTypes } from './types.js';
+import { convertJSXAttributes } from './jsx-attributes.js';
+import { liftNextHead } from './next-head.js';
+import { convertControlFlow } from './control-flow.js';
+import { convertEventHandlers } from './event-handlers.js';
+import { convertExports } from './exports.js';
+import { renameCustomHooks } from './custom-hooks.js';
+import { addSolidImports } from './solid-imports.js';
+
+/**
+ * The conversion pipeline, in the order the transforms run. Each transform
+ * receives the shared context and returns true when it changed the tree.
+ * Optional transforms only run when enabled by name.
+ */
+export const TRANSFORMS = [
+    { name: 'directives', run: removeDirectives },
+    { name: 'react-imports', run: removeReactImports },
+    { name: 'next-modules', run: convertNextModules },
+    { name: 'react-packages', run: convertReactPackages },
+    { name: 'hooks', run: convertHooks },
+    { name: 'refs', run: convertRefs },
+    { name: 'props', run: convertProps },
+    { name: 'signal-reads', run: convertSignalReads },
+    { name: 'effects', run: convertEffects },
+    { name: 'types', run: convertTypes },
+    { name: 'jsx-attributes', run: convertJSXAttributes },
+    { name: 'next-head', run: liftNextHead },
+    { name: 'control-flow', run: convertControlFlow, optional: true },
+    { name: 'event-handlers', run: convertEventHandlers },
+    { name: 'exports', run: convertExports },
+    { name: 'custom-hooks', run: renameCustomHooks },
+    { name: 'solid-imports', run: addSolidImports }
+];
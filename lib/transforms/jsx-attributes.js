@@ -0,0 +1,294 @@
+import { isIntrinsic, isReference, unwrapTSExpression } from '../ast-utils.js';
+
+/**
+ * React's DOM attribute names and Solid's. Solid sets attributes by their
+ * HTML names, and an uncontrolled input's default is simply its initial
+ * value, since Solid does not re-render it.
+ */
+const ATTRIBUTE_RENAMES = {
+    className: 'class',
+    htmlFor: 'for',
+    defaultValue: 'value',
+    defaultChecked: 'checked',
+    tabIndex: 'tabindex',
+    autoFocus: 'autofocus',
+    autoComplete: 'autocomplete',
+    autoCapitalize: 'autocapitalize',
+    autoPlay: 'autoplay',
+    readOnly: 'readonly',
+    maxLength: 'maxlength',
+    minLength: 'minlength',
+    spellCheck: 'spellcheck',
+    contentEditable: 'contenteditable',
+    inputMode: 'inputmode',
+    enterKeyHint: 'enterkeyhint',
+    accessKey: 'accesskey',
+    crossOrigin: 'crossorigin',
+    encType: 'enctype',
+    noValidate: 'novalidate',
+    formAction: 'formaction',
+    formNoValidate: 'formnovalidate',
+    colSpan: 'colspan',
+    rowSpan: 'rowspan',
+    srcSet: 'srcset',
+    dateTime: 'datetime',
+    playsInline: 'playsinline',
+    allowFullScreen: 'allowfullscreen',
+    // Solid derives the DOM event from the name, and there is no "doubleclick"
+    onDoubleClick: 'onDblClick'
+};
+
+/**
+ * Rename React-only DOM attributes on intrinsic elements, turn
+ * dangerouslySetInnerHTML into innerHTML and normalise inline style
+ * objects. Component props are left alone because the receiving component
+ * keeps its own prop names.
+ */
+export function convertJSXAttributes(ctx) {
+    const { j, root } = ctx;
+    let changed = false;
+
+    root.find(j.JSXOpeningElement).filter(isIntrinsic).forEach(path => {
+        for (const attribute of path.node.attributes) {
+            if (attribute.type !== 'JSXAttribute' || attribute.name.type !== 'JSXIdentifier') continue;
+
+            const renamed = ATTRIBUTE_RENAMES[attribute.name.name];
+            if (renamed) {
+                attribute.name = j.jsxIdentifier(renamed);
+                changed = true;
+            }
+
+            if (attribute.name.name === 'dangerouslySetInnerHTML' && convertInnerHTML(j, attribute)) {
+                changed = true;
+            }
+
+            if (attribute.name.name === 'style' && convertStyle(ctx, path, attribute)) {
+                changed = true;
+            }
+        }
+    });
+
+    return changed;
+}
+
+/**
+ * `dangerouslySetInnerHTML={{ __html: html }}` is `innerHTML={html}`.
+ */
+function convertInnerHTML(j, attribute) {
+    const value = attribute.value;
+    if (!value || value.type !== 'JSXExpressionContainer' || value.expression.type === 'JSXEmptyExpression') {
+        return false;
+    }
+
+    const html = value.expression.type === 'ObjectExpression'
+        ? value.expression.properties.find(property =>
+            (property.type === 'ObjectProperty' || property.type === 'Property') && !property.computed &&
+            (property.key.name === '__html' || property.key.value === '__html'))
+        : null;
+    if (value.expression.type === 'ObjectExpression' && (!html || value.expression.properties.length !== 1)) {
+        return false;
+    }
+
+    attribute.name = j.jsxIdentifier('innerHTML');
+    attribute.value = j.jsxExpressionContainer(html ? html.value : j.memberExpression(value.expression, j.identifier('__html')));
+    return true;
+}
+
+/**
+ * CSS properties React leaves unitless, without their vendor prefix
+ * (`-webkit-line-clamp` is `line-clamp`); every other number gets px.
+ */
+const UNITLESS_PROPERTIES = new Set([
+    'animation-iteration-count', 'aspect-ratio', 'border-image-outset', 'border-image-slice', 'border-image-width',
+    'box-flex', 'box-flex-group', 'box-ordinal-group', 'flex-positive', 'flex-negative', 'flex-order',
+    'column-count', 'columns', 'flex', 'flex-grow', 'flex-shrink', 'font-weight', 'grid-area', 'grid-column',
+    'grid-column-end', 'grid-column-start', 'grid-row', 'grid-row-end', 'grid-row-start', 'line-clamp', 'line-height',
+    'opacity', 'order', 'orphans', 'scale', 'tab-size', 'widows', 'z-index', 'zoom', 'fill-opacity', 'flood-opacity',
+    'stop-opacity', 'stroke-dasharray', 'stroke-dashoffset', 'stroke-miterlimit', 'stroke-opacity', 'stroke-width'
+]);
+
+const VENDOR_PREFIX = /^-[a-z]+-/;
+
+/**
+ * Properties taking a length, where a number React would have given px is
+ * a bug if it reaches Solid as one.
+ */
+const LENGTH_PROPERTY = /^(-[a-z]+-)?((min-|max-)?(width|height|block-size|inline-size)|top|right|bottom|left|inset(-[a-z-]+)?|(margin|padding|scroll-margin|scroll-padding)(-[a-z-]+)?|gap|row-gap|column-gap|column-width|font-size|letter-spacing|word-spacing|text-indent|flex-basis|border(-[a-z]+)*-(width|radius)|outline-(width|offset)|perspective|background-size|background-position(-[xy])?)$/;
+
+/**
+ * Solid takes style objects keyed by CSS property names (`font-size`,
+ * `-webkit-transform`) and sets values as they are, so React's camelCase
+ * keys are written out in kebab case and numbers get React's implicit px,
+ * in every branch of a conditional value too. Object literals given inline
+ * are converted, and so are the ones a `style={card}` or
+ * `style={styles.card}` reads from a local variable used for nothing but
+ * styles. A length given by an expression may still be a number at run
+ * time, which is reported in `ctx.warnings`.
+ */
+function convertStyle(ctx, path, attribute) {
+    const { j } = ctx;
+    const value = attribute.value;
+    if (!value || value.type !== 'JSXExpressionContainer') {
+        return false;
+    }
+    const style = findStyleObject(j, path, value.expression);
+    if (!style) {
+        return false;
+    }
+
+    let changed = false;
+    for (const property of style.properties) {
+        if ((property.type !== 'ObjectProperty' && property.type !== 'Property') || property.computed) continue;
+        const key = property.key.type === 'Identifier' ? property.key.name : property.key.value;
+        if (typeof key !== 'string') continue;
+
+        const name = toCSSProperty(key);
+        if (property.key.type === 'Identifier' || name !== key) {
+            property.key = j.stringLiteral(name);
+            property.shorthand = false;
+            changed = true;
+        }
+        if (UNITLESS_PROPERTIES.has(name.replace(VENDOR_PREFIX, '')) || name.startsWith('--')) continue;
+
+        const { node, changed: withUnits, unknown } = addUnits(j, property.value);
+        property.value = node;
+        changed = changed || withUnits;
+        // A shared style object is seen once per element using it
+        const warning = `style \`${name}\` (line ${lineOf(property)}) is computed and may be a number, which Solid sets without React's implicit px; add the unit`;
+        if (unknown && LENGTH_PROPERTY.test(name) && !ctx.warnings.includes(warning)) {
+            ctx.warnings.push(warning);
+        }
+    }
+    return changed;
+}
+
+/**
+ * `value` with px added to the numbers it can evaluate to: itself, or the
+ * branches of a conditional or `||`/`??`/`&&` it is made of. `unknown` is
+ * set when some branch is an expression that might be a number too.
+ */
+function addUnits(j, value) {
+    const number = numericValue(value);
+    if (number !== null) {
+        return number === 0 ? { node: value, changed: false, unknown: false } : { node: j.stringLiteral(`${number}px`), changed: true, unknown: false };
+    }
+    if (value.type === 'ConditionalExpression') {
+        const consequent = addUnits(j, value.consequent);
+        const alternate = addUnits(j, value.alternate);
+        value.consequent = consequent.node;
+        value.alternate = alternate.node;
+        return { node: value, changed: consequent.changed || alternate.changed, unknown: consequent.unknown || alternate.unknown };
+    }
+    if (value.type === 'LogicalExpression') {
+        // `a && b` is b when it is used at all; `a || b` and `a ?? b` can be either
+        const left = value.operator === '&&' ? { node: value.left, changed: false, unknown: false } : addUnits(j, value.left);
+        const right = addUnits(j, value.right);
+        value.left = left.node;
+        value.right = right.node;
+        return { node: value, changed: left.changed || right.changed, unknown: left.unknown || right.unknown };
+    }
+    return { node: value, changed: false, unknown: !isNeverNumber(value) };
+}
+
+/** Values that are never a number: strings, template literals, string concatenation, nothing. */
+function isNeverNumber(node) {
+    switch (node.type) {
+        case 'StringLiteral':
+        case 'TemplateLiteral':
+        case 'NullLiteral':
+        case 'BooleanLiteral':
+            return true;
+        case 'Literal':
+            return typeof node.value !== 'number';
+        case 'Identifier':
+            return node.name === 'undefined';
+        case 'BinaryExpression':
+            return node.operator === '+' && (isStringValue(node.left) || isStringValue(node.right));
+        default:
+            return false;
+    }
+}
+
+function isStringValue(node) {
+    return node.type === 'StringLiteral' || node.type === 'TemplateLiteral' || (node.type === 'Literal' && typeof node.value === 'string')
+        || (node.type === 'BinaryExpression' && node.operator === '+' && (isStringValue(node.left) || isStringValue(node.right)));
+}
+
+function lineOf(node) {
+    return node.loc ? node.loc.start.line : '?';
+}
+
+/**
+ * The object literal a style expression is, or reads from a variable
+ * declared with one, or null. A variable's object is only returned when
+ * the variable is used for styles alone, as `style={card}` or
+ * `style={styles.card}` on DOM elements: rewriting its keys would break
+ * any other code reading it, or a component taking it as a prop.
+ */
+function findStyleObject(j, path, expression) {
+    if (expression.type === 'ObjectExpression') return expression;
+
+    const member = expression.type === 'MemberExpression' && !expression.computed;
+    const variable = member ? expression.object : expression;
+    if (variable.type !== 'Identifier') return null;
+    const scope = path.scope.lookup(variable.name);
+    const binding = scope ? scope.getBindings()[variable.name] : null;
+    const declarator = binding ? binding[0].parent : null;
+    if (!declarator || declarator.node.type !== 'VariableDeclarator') return null;
+    const object = declarator.node.init ? unwrapTSExpression(declarator.node.init) : null;
+    if (!object || object.type !== 'ObjectExpression') return null;
+    const key = member ? expression.property.name : null;
+    if (!usedOnlyAsStyle(j, scope, variable.name, key, declarator)) return null;
+    if (!member) return object;
+
+    const property = object.properties.find(candidate =>
+        (candidate.type === 'ObjectProperty' || candidate.type === 'Property') && !candidate.computed &&
+        (candidate.key.name || candidate.key.value) === key);
+    return property && property.value.type === 'ObjectExpression' ? property.value : null;
+}
+
+/**
+ * Whether every use of the variable `name` declared in `scope` (or of its
+ * `key` property, when given) is the style of a DOM element, and it is not
+ * exported.
+ */
+function usedOnlyAsStyle(j, scope, name, key, declarator) {
+    const declaration = declarator.parent;
+    if (declaration.parent && declaration.parent.node.type === 'ExportNamedDeclaration') return false;
+
+    return j(scope.path).find(j.Identifier, { name }).paths().every(path => {
+        if (path.parent.node.type === 'ExportSpecifier') return false;
+        if (!isReference(path) || path.scope.lookup(name) !== scope) return true;
+
+        let use = path;
+        if (key !== null) {
+            const parent = path.parent.node;
+            if (parent.type !== 'MemberExpression' || parent.object !== path.node) return false;
+            // Another property of the same variable is another object
+            if (parent.computed || parent.property.name !== key) return !parent.computed;
+            use = path.parent;
+        }
+        const container = use.parent;
+        const attribute = container.parent;
+        return container.node.type === 'JSXExpressionContainer'
+            && attribute.node.type === 'JSXAttribute' && attribute.node.name.name === 'style'
+            && isIntrinsic(attribute.parent);
+    });
+}
+/**
+ * `fontSize` -> `font-size`, `WebkitTransform` -> `-webkit-transform`,
+ * `msTransform` -> `-ms-transform`. Custom properties are kept as they are.
+ */
+function toCSSProperty(key) {
+    if (key.startsWith('--')) return key;
+    const name = key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    return name.startsWith('ms-') ? `-${name}` : name;
+}
+
+function numericValue(node) {
+    if ((node.type === 'NumericLiteral' || node.type === 'Literal') && typeof node.value === 'number') return node.value;
+    if (node.type === 'UnaryExpression' && node.operator === '-' && numericValue(node.argument) !== null) {
+        return -numericValue(node.argument);
+    }
+    return null;
+}
@@ -0,0 +1,121 @@
+import { removeStatement } from '../ast-utils.js';
+
+/**
+ * Lift the contents of next/head `<Head>` out of a route component, into
+ * `ctx.head` for the generated Astro page to render in the document head,
+ * and the document itself out of a root layout (see liftDocument).
+ * Only elements whose markup is static can move: anything reading props or
+ * state stays in a `<Head>` for manual review. Runs for route components
+ * only (`options.liftHead`), after the attribute renames so the lifted
+ * markup is already plain HTML.
+ */
+export function liftNextHead(ctx) {
+    const { j, root, options } = ctx;
+    if (!options.liftHead) return false;
+    let changed = liftDocument(ctx);
+
+    root.find(j.ImportDeclaration, { source: { value: 'next/head' } }).forEach(path => {
+        const specifier = (path.node.specifiers || []).find(specifier => specifier.type === 'ImportDefaultSpecifier');
+        if (!specifier) return;
+        const local = specifier.local.name;
+        let remaining = 0;
+
+        root.find(j.JSXElement, { openingElement: { name: { type: 'JSXIdentifier', name: local } } }).forEach(element => {
+            const kept = [];
+            for (const child of element.node.children) {
+                if (child.type === 'JSXElement' && isStatic(j, child)) {
+                    ctx.head.push(j(child).toSource().trim());
+                    changed = true;
+                } else if (child.type !== 'JSXText' || child.value.trim() !== '') {
+                    kept.push(child);
+                }
+            }
+
+            if (kept.length > 0) {
+                element.node.children = kept;
+                remaining += 1;
+            } else if (['JSXElement', 'JSXFragment'].includes(element.parent.node.type)) {
+                element.prune();
+            } else {
+                element.replace(j.nullLiteral());
+            }
+        });
+
+        if (remaining === 0) {
+            removeStatement(path);
+            changed = true;
+        }
+    });
+
+    return changed;
+}
+
+/**
+ * A root layout rendering the whole document (`<html><body>...`): the
+ * generated Astro layout renders <html>, <head> and <body> itself (see
+ * renderLayout in routes.js), so the component keeps what was in <body>.
+ * The <html> attributes go to `ctx.document` and static <head> content to
+ * `ctx.head`; a <body> with attributes becomes a <div> with them.
+ */
+function liftDocument(ctx) {
+    const { j, root } = ctx;
+    let changed = false;
+
+    root.find(j.JSXElement, { openingElement: { name: { type: 'JSXIdentifier', name: 'html' } } }).forEach(html => {
+        const { attributes } = html.node.openingElement;
+        if (ctx.document || !attributes.every(attribute => isStaticAttribute(j, attribute))) return;
+        ctx.document = { attributes: attributes.map(attribute => j(attribute).toSource()) };
+
+        const content = [];
+        for (const child of html.node.children) {
+            const name = child.type === 'JSXElement' && child.openingElement.name.type === 'JSXIdentifier'
+                ? child.openingElement.name.name
+                : null;
+            if (name === 'head') {
+                for (const element of child.children) {
+                    if (element.type === 'JSXElement' && isStatic(j, element)) {
+                        ctx.head.push(j(element).toSource().trim());
+                    } else if (element.type !== 'JSXText' || element.value.trim() !== '') {
+                        content.push(element);
+                    }
+                }
+            } else if (name === 'body' && child.openingElement.attributes.length > 0) {
+                content.push(j.jsxElement(
+                    j.jsxOpeningElement(j.jsxIdentifier('div'), child.openingElement.attributes),
+                    j.jsxClosingElement(j.jsxIdentifier('div')),
+                    child.children
+                ));
+            } else if (name === 'body') {
+                content.push(...child.children.filter(element => element.type !== 'JSXText' || element.value.trim() !== ''));
+            } else if (child.type !== 'JSXText' || child.value.trim() !== '') {
+                content.push(child);
+            }
+        }
+
+        const elements = content.filter(element => element.type === 'JSXElement');
+        html.replace(content.length === 1 && elements.length === 1
+            ? content[0]
+            : j.jsxFragment(j.jsxOpeningFragment(), j.jsxClosingFragment(), content));
+        changed = true;
+    });
+
+    return changed;
+}
+
+function isStaticAttribute(j, attribute) {
+    return attribute.type === 'JSXAttribute' && (!attribute.value || attribute.value.type === 'StringLiteral'
+        || (attribute.value.type === 'JSXExpressionContainer' && attribute.value.expression.type === 'StringLiteral'));
+}
+
+/**
+ * Whether an element renders the same markup every time: no spreads and no
+ * expressions other than string literals.
+ */
+function isStatic(j, element) {
+    const collection = j(element);
+    if (collection.find(j.JSXSpreadAttribute).size() > 0 || collection.find(j.JSXSpreadChild).size() > 0) return false;
+    return collection.find(j.JSXExpressionContainer).filter(path => {
+        const expression = path.node.expression;
+        return expression.type !== 'StringLiteral' && expression.type !== 'JSXEmptyExpression';
+    }).size() === 0;
+}
@@ -0,0 +1,229 @@
+import { isReference, parseExpression, removeStatement } from '../ast-utils.js';
+import { ROUTER_SHIM } from '../next-shims.js';
+
+/** Props only next/link understands. `as` is the real URL and replaces `href`. */
+const LINK_PROPS = new Set(['as', 'prefetch', 'replace', 'scroll', 'shallow', 'passHref', 'legacyBehavior', 'locale']);
+
+/** Props only next/image understands; `priority` and `fill` become plain attributes. */
+const IMAGE_PROPS = new Set(['priority', 'fill', 'quality', 'placeholder', 'blurDataURL', 'loader', 'unoptimized', 'onLoadingComplete', 'overrideSrc']);
+
+const IMAGE_MODULES = new Set(['next/image', 'next/legacy/image']);
+const ROUTER_MODULES = new Set(['next/router', 'next/navigation']);
+const ROUTER_HOOKS = new Set(['useRouter', 'usePathname', 'useSearchParams']);
+
+const IMAGE_FILE = /\.(png|jpe?g|gif|webp|avif|svg)$/;
+
+/**
+ * Replace the Next.js built-ins Astro has no equivalent for:
+ * - next/link `<Link>` becomes a plain `<a>` (pages are separate documents)
+ *   with `href={{ pathname, query }}` objects turned into URLs,
+ * - next/image `<Image>` becomes an `<img>` with native lazy loading,
+ *   reading `.src` of statically imported images like astro:assets does,
+ * - useRouter, usePathname and useSearchParams come from a small generated
+ *   module reading `window.location`.
+ * Imports are only removed once nothing else refers to them.
+ */
+export function convertNextModules(ctx) {
+    const links = convertDefaultImport(ctx, 'next/link', convertLink);
+    const images = [...IMAGE_MODULES].map(source => convertDefaultImport(ctx, source, convertImage)).some(Boolean);
+    const router = convertRouterImports(ctx);
+    return links || images || router;
+}
+
+/**
+ * Run `convert` on every JSX element named after the default import of
+ * `source`, then drop the import when it is no longer referenced.
+ */
+function convertDefaultImport(ctx, source, convert) {
+    const { j, root } = ctx;
+    let changed = false;
+
+    root.find(j.ImportDeclaration, { source: { value: source } }).forEach(path => {
+        const specifier = (path.node.specifiers || []).find(specifier => specifier.type === 'ImportDefaultSpecifier');
+        if (!specifier) return;
+        const local = specifier.local.name;
+
+        root.find(j.JSXElement, { openingElement: { name: { type: 'JSXIdentifier', name: local } } }).forEach(element => {
+            convert(ctx, element);
+            changed = true;
+        });
+
+        const used = root.find(j.Identifier, { name: local }).filter(reference => isReference(reference)).size() > 0;
+        if (!used && path.node.specifiers.length === 1) {
+            removeStatement(path);
+            changed = true;
+        }
+    });
+
+    return changed;
+}
+
+function attributeName(attribute) {
+    return attribute.type === 'JSXAttribute' && attribute.name.type === 'JSXIdentifier' ? attribute.name.name : null;
+}
+
+function convertLink(ctx, path) {
+    const { j } = ctx;
+    const element = path.node;
+    const attributes = element.openingElement.attributes;
+    const as = attributes.find(attribute => attributeName(attribute) === 'as');
+    const kept = attributes
+        .filter(attribute => !LINK_PROPS.has(attributeName(attribute)))
+        .map(attribute => (as && attributeName(attribute) === 'href' ? j.jsxAttribute(j.jsxIdentifier('href'), as.value) : attribute));
+    const href = kept.find(attribute => attributeName(attribute) === 'href');
+    if (href && href.value && href.value.type === 'JSXExpressionContainer' && href.value.expression.type === 'ObjectExpression') {
+        const url = serializeHref(href.value.expression);
+        if (url !== null) {
+            // Parsed rather than built so the value keeps JSX's double quotes
+            href.value = parseExpression(j, `<a href=${JSON.stringify(url)} />`).openingElement.attributes[0].value;
+        } else {
+            ctx.warnings.push('<Link href={{ ... }}> with values only known at runtime was left as is; an <a> needs the URL as a string');
+        }
+    }
+
+    // <Link href="/a"><a>...</a></Link>, as written before Next.js 13
+    const children = element.children.filter(child => child.type !== 'JSXText' || child.value.trim() !== '');
+    const [anchor] = children;
+    if (children.length === 1 && anchor.type === 'JSXElement' && anchor.openingElement.name.name === 'a') {
+        anchor.openingElement.attributes = [...kept, ...anchor.openingElement.attributes];
+        path.replace(anchor);
+        return;
+    }
+
+    element.openingElement.name = j.jsxIdentifier('a');
+    element.openingElement.attributes = kept;
+    if (element.closingElement) element.closingElement.name = j.jsxIdentifier('a');
+}
+
+/**
+ * The URL of a next/link href object made of literals,
+ * `{ pathname: '/a', query: { b: 1 }, hash: 'c' }` is '/a?b=1#c', as the
+ * router module's toHref builds it; null when any part is not a literal.
+ */
+function serializeHref(object) {
+    const parts = literalProperties(object);
+    if (!parts || Object.keys(parts).some(key => !['pathname', 'query', 'hash'].includes(key))) return null;
+
+    const { pathname = '', query = null, hash = '' } = parts;
+    const values = query === null ? {} : typeof query === 'object' ? literalProperties(query) : null;
+    if (typeof pathname !== 'string' || typeof hash !== 'string' || !values) return null;
+    if (Object.values(values).some(value => typeof value === 'object')) return null;
+
+    const search = new URLSearchParams(Object.entries(values).map(([key, value]) => [key, String(value)])).toString();
+    return `${pathname}${search ? `?${search}` : ''}${hash ? `#${hash.replace(/^#/, '')}` : ''}`;
+}
+
+/**
+ * `{ key: literal, ... }` as a plain object, nested object expressions left
+ * as nodes; null for spreads, methods, computed keys and other values.
+ */
+function literalProperties(object) {
+    const result = {};
+    for (const property of object.properties) {
+        if ((property.type !== 'ObjectProperty' && property.type !== 'Property') || property.computed) return null;
+        const key = property.key.type === 'Identifier' ? property.key.name : property.key.value;
+        const { value } = property;
+        if (value.type === 'ObjectExpression') {
+            result[key] = value;
+        } else if (['StringLiteral', 'NumericLiteral', 'BooleanLiteral', 'Literal'].includes(value.type) && value.value !== null) {
+            result[key] = value.value;
+        } else {
+            return null;
+        }
+    }
+    return result;
+}
+
+function convertImage(ctx, path) {
+    const { j } = ctx;
+    const element = path.node;
+    const attributes = element.openingElement.attributes;
+    const find = name => attributes.find(attribute => attributeName(attribute) === name);
+    const isSet = attribute => Boolean(attribute) && !(attribute.value
+        && attribute.value.type === 'JSXExpressionContainer'
+        && attribute.value.expression.type === 'BooleanLiteral'
+        && !attribute.value.expression.value);
+    // Parsed rather than built so the value keeps JSX's double quotes.
+    const stringAttribute = (name, value) => parseExpression(j, `<img ${name}="${value}" />`).openingElement.attributes[0];
+    const expressionAttribute = (name, source) => j.jsxAttribute(j.jsxIdentifier(name), j.jsxExpressionContainer(parseExpression(j, source)));
+
+    const kept = attributes.filter(attribute => !IMAGE_PROPS.has(attributeName(attribute)));
+    const src = find('src');
+    const imported = src && src.value && src.value.type === 'JSXExpressionContainer' && src.value.expression.type === 'Identifier'
+        && isImportedImage(ctx, src.value.expression.name)
+        ? src.value.expression.name
+        : null;
+
+    // A statically imported image is an object in Astro too; <img> wants its URL.
+    if (imported) {
+        src.value = j.jsxExpressionContainer(parseExpression(j, `${imported}.src`));
+        if (!find('width') && !find('height') && !isSet(find('fill'))) {
+            kept.push(expressionAttribute('width', `${imported}.width`), expressionAttribute('height', `${imported}.height`));
+        }
+    }
+    if (!find('loading')) {
+        if (isSet(find('priority'))) {
+            kept.push(stringAttribute('loading', 'eager'), stringAttribute('fetchpriority', 'high'));
+        } else {
+            kept.push(stringAttribute('loading', 'lazy'));
+        }
+    }
+    if (!find('decoding')) kept.push(stringAttribute('decoding', 'async'));
+    if (isSet(find('fill'))) {
+        const fill = parseExpression(j, "{ position: 'absolute', inset: 0, width: '100%', height: '100%' }");
+        const style = find('style');
+        if (!style) {
+            kept.push(j.jsxAttribute(j.jsxIdentifier('style'), j.jsxExpressionContainer(fill)));
+        } else if (style.value.type === 'JSXExpressionContainer' && style.value.expression.type === 'ObjectExpression') {
+            style.value.expression.properties.unshift(...fill.properties);
+        }
+    }
+
+    element.openingElement.name = j.jsxIdentifier('img');
+    element.openingElement.attributes = kept;
+    element.openingElement.selfClosing = true;
+    element.closingElement = null;
+    element.children = [];
+}
+
+/**
+ * Whether `name` is the default import of an image file.
+ */
+function isImportedImage(ctx, name) {
+    const { j, root } = ctx;
+    return root.find(j.ImportDeclaration)
+        .filter(path => IMAGE_FILE.test(path.node.source.value))
+        .filter(path => (path.node.specifiers || []).some(specifier => specifier.type === 'ImportDefaultSpecifier' && specifier.local.name === name))
+        .size() > 0;
+}
+
+/**
+ * Move the router hooks out of next/router and next/navigation into an
+ * import of the generated router module. Anything else those modules
+ * export (redirect, notFound, useParams) stays behind for manual review.
+ */
+function convertRouterImports(ctx) {
+    const { j, root } = ctx;
+    const moved = [];
+
+    root.find(j.ImportDeclaration).filter(path => ROUTER_MODULES.has(path.node.source.value)).forEach(path => {
+        const specifiers = path.node.specifiers || [];
+        const hooks = specifiers.filter(specifier => specifier.type === 'ImportSpecifier' && ROUTER_HOOKS.has(specifier.imported.name));
+        if (hooks.length === 0) return;
+
+        moved.push(...hooks.filter(hook => !moved.some(existing => existing.local.name === hook.local.name)));
+        const rest = specifiers.filter(specifier => !hooks.includes(specifier));
+        if (rest.length === 0) {
+            removeStatement(path);
+        } else {
+            path.node.specifiers = rest;
+        }
+    });
+
+    if (moved.length === 0) return false;
+
+    const body = root.get().node.program.body;
+    const lastImport = body.map(node => node.type).lastIndexOf('ImportDeclaration');
+    body.splice(lastImport + 1, 0, j.importDeclaration(moved, j.stringLiteral(ROUTER_SHIM.specifier)));
+    return true;
+}
@@ -0,0 +1,139 @@
+import { isReference, parseStatement, toSource } from '../ast-utils.js';
+
+/**
+ * Destructuring props reads them once, which breaks reactivity in Solid.
+ * Rewrite `function Card({ title, onClick = noop, ...rest })` so that:
+ * - every read of `title` becomes `props.title`,
+ * - default values move into `mergeProps({ onClick: noop }, rawProps)`,
+ * - a rest element is split off with `splitProps(props, [...keys])`.
+ * Components with computed keys or nested defaults are left as they are.
+ */
+export function convertProps(ctx) {
+    const { j, root } = ctx;
+    let changed = false;
+
+    root.find(j.Function)
+        .filter(path => path.node.params[0] && path.node.params[0].type === 'ObjectPattern' && isComponent(path))
+        .forEach(path => {
+            if (rewriteComponentProps(ctx, path)) changed = true;
+        });
+
+    return changed;
+}
+
+/**
+ * Capitalised functions (`function Card`, `const Card = () => ...`) and
+ * anonymous default exports are treated as components.
+ */
+function isComponent(path) {
+    const { node, parent } = path;
+    const name = node.id ? node.id.name
+        : parent.node.type === 'VariableDeclarator' && parent.node.id.type === 'Identifier' ? parent.node.id.name
+        : null;
+    if (name) return /^[A-Z]/.test(name);
+    return parent.node.type === 'ExportDefaultDeclaration';
+}
+
+function rewriteComponentProps(ctx, path) {
+    const { j } = ctx;
+    const fn = path.node;
+    const pattern = fn.params[0];
+
+    const shape = describePattern(j, pattern, []);
+    if (!shape) return false;
+
+    const scope = path.scope;
+    const propsName = scope.declares('props') ? 'componentProps' : 'props';
+    const needsMerge = shape.defaults.length > 0;
+    const rawName = needsMerge ? `raw${propsName[0].toUpperCase()}${propsName.slice(1)}` : propsName;
+
+    // Collect references before the pattern is replaced, while the scope
+    // still knows the destructured names.
+    const replacements = [];
+    for (const binding of shape.bindings) {
+        j(path.get('body')).find(j.Identifier, { name: binding.name })
+            .filter(ref => isReference(ref) && ref.scope.lookup(binding.name) === scope)
+            .forEach(ref => replacements.push({ ref, binding }));
+    }
+
+    for (const { ref, binding } of replacements) {
+        const parent = ref.parent.node;
+        if ((parent.type === 'ObjectProperty' || parent.type === 'Property') && parent.shorthand) {
+            parent.shorthand = false;
+        }
+        ref.replace(buildMemberChain(j, propsName, binding.keys));
+    }
+
+    const param = j.identifier(rawName);
+    param.typeAnnotation = pattern.typeAnnotation;
+    fn.params[0] = param;
+
+    const statements = [];
+    if (needsMerge) {
+        const defaults = shape.defaults.map(({ key, value }) => `${key}: ${toSource(j, value)}`).join(', ');
+        statements.push(parseStatement(j, `const ${propsName} = mergeProps({ ${defaults} }, ${rawName});`));
+        ctx.solidImports.add('mergeProps');
+    }
+    if (shape.rest) {
+        const keys = shape.keys.map(key => `'${key}'`).join(', ');
+        statements.push(parseStatement(j, `const [, ${shape.rest}] = splitProps(${propsName}, [${keys}]);`));
+        ctx.solidImports.add('splitProps');
+    }
+
+    if (statements.length > 0) {
+        if (fn.body.type !== 'BlockStatement') {
+            fn.body = j.blockStatement([j.returnStatement(fn.body)]);
+        }
+        fn.body.body.unshift(...statements);
+    }
+    return true;
+}
+
+/**
+ * Flatten a props pattern into the local names it binds and the property
+ * path each one reads. Returns null for patterns that cannot be rewritten.
+ */
+function describePattern(j, pattern, prefix) {
+    const shape = { bindings: [], defaults: [], keys: [], rest: null };
+
+    for (const property of pattern.properties) {
+        if (property.type === 'RestElement') {
+            if (prefix.length > 0 || property.argument.type !== 'Identifier') return null;
+            shape.rest = property.argument.name;
+            continue;
+        }
+        if (property.computed || (property.key.type !== 'Identifier' && property.key.type !== 'StringLiteral')) return null;
+
+        const key = property.key.type === 'Identifier' ? property.key.name : property.key.value;
+        const keys = [...prefix, key];
+        let value = property.value;
+        shape.keys.push(key);
+
+        if (value.type === 'AssignmentPattern') {
+            if (prefix.length > 0 || value.left.type !== 'Identifier') return null;
+            shape.defaults.push({ key, value: value.right });
+            value = value.left;
+        }
+
+        if (value.type === 'Identifier') {
+            shape.bindings.push({ name: value.name, keys });
+        } else if (value.type === 'ObjectPattern') {
+            const nested = describePattern(j, value, keys);
+            if (!nested || nested.rest) return null;
+            shape.bindings.push(...nested.bindings);
+        } else {
+            return null;
+        }
+    }
+
+    return shape;
+}
+
+function buildMemberChain(j, object, keys) {
+    return keys.reduce(
+        (expression, key) => /^[A-Za-z_$][\w$]*$/.test(key)
+            ? j.memberExpression(expression, j.identifier(key))
+            : j.memberExpression(expression, j.stringLiteral(key), true),
+        j.identifier(object)
+    );
+}
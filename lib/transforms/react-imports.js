@@ -0,0 +1,105 @@
+import { getReactName, isReference, removeStatement } from '../ast-utils.js';
+import { isConvertedType } from './types.js';
+
+/**
+ * React exports the rest of the pipeline replaces (see hooks.js, refs.js
+ * and effects.js), besides the types of types.js and memo and Fragment,
+ * which are handled here.
+ */
+const REPLACED = new Set([
+    'useState', 'useMemo', 'useCallback', 'useReducer', 'createContext', 'useContext', 'useId',
+    'useRef', 'forwardRef', 'useImperativeHandle', 'useEffect', 'useLayoutEffect', 'memo', 'Fragment'
+]);
+
+/**
+ * Remove imports from 'react'. The Solid replacements for the hooks and
+ * types they provided are imported from 'solid-js' at the end of the pipeline.
+ * `memo(Component)` becomes the component, as Solid components do not
+ * re-render, and `<Fragment>` / `<React.Fragment>` become `<>`. Bindings
+ * with no replacement (Children, cloneElement, ...) keep their import and
+ * are reported, so the file is not left referring to names it no longer
+ * defines.
+ */
+export function removeReactImports(ctx) {
+    const { j, root } = ctx;
+    const imports = root.find(j.ImportDeclaration, { source: { value: 'react' } });
+    if (imports.size() === 0) return false;
+
+    unwrapMemo(ctx);
+    convertFragments(ctx);
+
+    const kept = new Set();
+    imports.forEach(path => {
+        const specifiers = (path.node.specifiers || []).filter(specifier => {
+            const missing = usedExports(ctx, specifier).filter(name => !REPLACED.has(name) && !isConvertedType(name));
+            missing.forEach(name => kept.add(name));
+            return missing.length > 0;
+        });
+        if (specifiers.length === 0) {
+            removeStatement(path);
+        } else {
+            path.node.specifiers = specifiers;
+        }
+    });
+
+    if (kept.size > 0) {
+        ctx.warnings.push(`${[...kept].join(', ')} from 'react' ${kept.size === 1 ? 'has' : 'have'} no Solid replacement and ${kept.size === 1 ? 'is' : 'are'} still imported`);
+    }
+    return true;
+}
+
+/** `memo(Component, areEqual)` and `React.memo(...)` become the component. */
+function unwrapMemo(ctx) {
+    const { j, root } = ctx;
+    root.find(j.CallExpression)
+        .filter(path => getReactName(ctx, path.node.callee) === 'memo' && path.node.arguments.length > 0)
+        .forEach(path => path.replace(path.node.arguments[0]));
+}
+
+/** `<Fragment key={id}>...</Fragment>` becomes `<>...</>`; Solid has no keys. */
+function convertFragments(ctx) {
+    const { j, root } = ctx;
+    root.find(j.JSXElement)
+        .filter(path => jsxReactName(ctx, path.node.openingElement.name) === 'Fragment')
+        .forEach(path => {
+            path.replace(j.jsxFragment(j.jsxOpeningFragment(), j.jsxClosingFragment(), path.node.children));
+        });
+}
+
+/** The React export a JSX tag name (`Fragment`, `React.Fragment`) refers to, or null. */
+function jsxReactName(ctx, name) {
+    if (name.type === 'JSXIdentifier') return ctx.react.named.get(name.name) || null;
+    if (name.type === 'JSXMemberExpression' && name.object.type === 'JSXIdentifier' && ctx.react.namespaces.has(name.object.name)) {
+        return name.property.name;
+    }
+    return null;
+}
+
+/**
+ * The React exports the code still uses through an import specifier:
+ * its imported name for a named import, and every `React.x` for a
+ * default or namespace import (`React` itself when it is used bare).
+ */
+function usedExports(ctx, specifier) {
+    const { j, root } = ctx;
+    const local = specifier.local.name;
+
+    if (specifier.type === 'ImportSpecifier') {
+        const used = root.find(j.Identifier, { name: local }).filter(path => isReference(path)).size() > 0
+            || root.find(j.JSXIdentifier, { name: local }).filter(path => path.parent.node.type !== 'JSXAttribute').size() > 0
+            || root.find(j.TSTypeReference, { typeName: { type: 'Identifier', name: local } }).size() > 0;
+        return used ? [specifier.imported.name] : [];
+    }
+
+    const names = new Set();
+    root.find(j.MemberExpression, { object: { type: 'Identifier', name: local } })
+        .forEach(path => names.add(path.node.property.name || local));
+    root.find(j.TSQualifiedName, { left: { type: 'Identifier', name: local } })
+        .forEach(path => names.add(path.node.right.name));
+    root.find(j.JSXMemberExpression, { object: { type: 'JSXIdentifier', name: local } })
+        .forEach(path => names.add(path.node.property.name));
+    const bare = root.find(j.Identifier, { name: local })
+        .filter(path => isReference(path) && !(path.parent.node.type === 'MemberExpression' && path.name === 'object'));
+    if (bare.size() > 0) names.add(local);
+    return [...names];
+}
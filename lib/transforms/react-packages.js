@@ -0,0 +1,62 @@
+import { isReference } from '../ast-utils.js';
+import { packageOf } from '../imports.js';
+import { SOLID_EQUIVALENTS } from '../packages.js';
+
+/**
+ * Switch imports of React packages that have a Solid port (see
+ * SOLID_EQUIVALENTS) to the port: `@tanstack/react-query` becomes
+ * `@tanstack/solid-query`, renamed exports are renamed at every use, a
+ * default import becomes the port's named export (`import styled from
+ * 'styled-components'` is `import { styled } from 'solid-styled-components'`),
+ * and the options passed to query hooks are wrapped in a function so the query
+ * re-runs when the signals they read change.
+ */
+export function convertReactPackages(ctx) {
+    const { j, root } = ctx;
+    let changed = false;
+
+    root.find(j.ImportDeclaration).forEach(path => {
+        const source = path.node.source.value;
+        const equivalent = SOLID_EQUIVALENTS[packageOf(source)];
+        if (!equivalent) return;
+
+        path.node.source = j.stringLiteral(`${equivalent.package}${source.slice(packageOf(source).length)}`);
+        changed = true;
+
+        for (const [index, specifier] of (path.node.specifiers || []).entries()) {
+            if (specifier.type === 'ImportDefaultSpecifier' && equivalent.defaultExport) {
+                path.node.specifiers[index] = j.importSpecifier(j.identifier(equivalent.defaultExport), specifier.local);
+            }
+            if (specifier.type !== 'ImportSpecifier') continue;
+            const imported = specifier.imported.name;
+            const local = specifier.local.name;
+            const renamed = (equivalent.names || {})[imported];
+
+            if (renamed) {
+                specifier.imported = j.identifier(renamed);
+                if (local === imported) {
+                    root.find(j.Identifier, { name: local }).filter(isReference).forEach(reference => {
+                        reference.node.name = renamed;
+                    });
+                    specifier.local = j.identifier(renamed);
+                }
+            }
+            if ((equivalent.accessors || []).includes(imported)) {
+                wrapOptions(j, root, specifier.local.name);
+            }
+        }
+    });
+
+    return changed;
+}
+
+/**
+ * `useQuery({ ... })` -> `useQuery(() => ({ ... }))`.
+ */
+function wrapOptions(j, root, name) {
+    root.find(j.CallExpression, { callee: { type: 'Identifier', name } }).forEach(path => {
+        const [options] = path.node.arguments;
+        if (!options || options.type === 'ArrowFunctionExpression' || options.type === 'FunctionExpression') return;
+        path.node.arguments[0] = j.arrowFunctionExpression([], options);
+    });
+}
@@ -0,0 +1,227 @@
+import { getReactName, isReference, parseExpression, parseStatement, replaceStatement, toSource } from '../ast-utils.js';
+
+/**
+ * Convert React refs to Solid's ref patterns:
+ * - refs passed to `ref={el}` become `let el` variables the element is assigned to,
+ * - mutable-value refs become plain `let` variables,
+ * - refs that escape (passed around as objects) keep a `{ current }` object,
+ *   which `ref={el}` fills through a callback,
+ * - forwardRef components read `props.ref`, and useImperativeHandle hands
+ *   its value to that ref.
+ */
+export function convertRefs(ctx) {
+    const refs = convertUseRefs(ctx);
+    const forwarded = convertForwardRefs(ctx);
+    const handles = convertImperativeHandles(ctx);
+    return refs || forwarded || handles;
+}
+
+function convertUseRefs(ctx) {
+    const { j, root } = ctx;
+    let changed = false;
+
+    root.find(j.CallExpression)
+        .filter(path => getReactName(ctx, path.node.callee) === 'useRef')
+        .forEach(path => {
+            const declarator = path.parent.node;
+            const declaration = path.parent.parent.node;
+            const init = path.node.arguments[0] || null;
+            const typeArgument = getTypeArguments(path.node)[0] || null;
+
+            if (declarator.type !== 'VariableDeclarator' || declarator.id.type !== 'Identifier' || declaration.declarations.length !== 1) {
+                path.replace(buildRefObject(j, init, typeArgument));
+                changed = true;
+                return;
+            }
+
+            const name = declarator.id.name;
+            const usage = collectRefUsage(j, path, name);
+
+            if (usage.escapes) {
+                declarator.init = buildRefObject(j, init, typeArgument);
+                // Solid's ref takes a callback or a variable, not an object
+                for (const ref of usage.jsxRefs) {
+                    ref.replace(parseExpression(j, `el => (${name}.current = el)`));
+                }
+            } else {
+                const domRef = usage.jsxRefs.length > 0;
+                declaration.kind = 'let';
+                declarator.id = j.identifier(name);
+                if (typeArgument) {
+                    const type = domRef ? withEmptyType(j, typeArgument, j.tsUndefinedKeyword())
+                        : isNullLiteral(init) ? withEmptyType(j, typeArgument, j.tsNullKeyword())
+                        : typeArgument;
+                    declarator.id.typeAnnotation = j.tsTypeAnnotation(type);
+                }
+                declarator.init = domRef ? null : init;
+                for (const member of usage.currents) {
+                    member.replace(j.identifier(name));
+                }
+            }
+            changed = true;
+        });
+
+    return changed;
+}
+
+/**
+ * Sort the references to a ref into `x.current` accesses, `ref={x}` JSX
+ * attributes and anything else, which means the ref object escapes.
+ */
+function collectRefUsage(j, declarationPath, name) {
+    const scope = declarationPath.scope.lookup(name);
+    const usage = { currents: [], jsxRefs: [], escapes: false };
+
+    j(scope.path).find(j.Identifier, { name })
+        .filter(path => isReference(path) && path.scope.lookup(name) === scope)
+        .forEach(path => {
+            const parent = path.parent.node;
+            if (isCurrentAccess(parent, path.node)) {
+                usage.currents.push(path.parent);
+            } else if (isJSXRefValue(path)) {
+                usage.jsxRefs.push(path);
+            } else {
+                usage.escapes = true;
+            }
+        });
+
+    return usage;
+}
+
+function isCurrentAccess(parent, node) {
+    return (parent.type === 'MemberExpression' || parent.type === 'OptionalMemberExpression')
+        && parent.object === node
+        && !parent.computed
+        && parent.property.name === 'current';
+}
+
+function isJSXRefValue(path) {
+    const container = path.parent.node;
+    const attribute = path.parent.parent && path.parent.parent.node;
+    return container.type === 'JSXExpressionContainer'
+        && attribute.type === 'JSXAttribute'
+        && attribute.name.name === 'ref';
+}
+
+/**
+ * `{ current: init }` behaves exactly like a React ref object.
+ */
+function buildRefObject(j, init, typeArgument) {
+    const object = `{ current: ${init ? toSource(j, init) : 'undefined'} }`;
+    if (!typeArgument) return parseExpression(j, object);
+    return parseExpression(j, `${object} as { current: ${toSource(j, typeArgument)} }`);
+}
+
+/**
+ * `useRef<HTMLDivElement>(null)` holds `HTMLDivElement | null`. A DOM ref
+ * variable is `HTMLDivElement | undefined` until Solid assigns it; a value
+ * ref keeps `| null`.
+ */
+function withEmptyType(j, type, empty) {
+    const members = type.type === 'TSUnionType' ? type.types : [type];
+    const kept = members.filter(member => member.type !== 'TSNullKeyword' && member.type !== 'TSUndefinedKeyword');
+    return j.tsUnionType([...kept, empty]);
+}
+
+function isNullLiteral(node) {
+    return Boolean(node) && (node.type === 'NullLiteral' || (node.type === 'Literal' && node.value === null));
+}
+
+function getTypeArguments(call) {
+    const parameters = call.typeParameters || call.typeArguments;
+    return parameters ? parameters.params : [];
+}
+
+/**
+ * `forwardRef<T, P>((props, ref) => ...)` becomes `(props: P & { ref?: Ref<T> }) => ...`
+ * with every use of `ref` reading `props.ref`.
+ */
+function convertForwardRefs(ctx) {
+    const { j, root } = ctx;
+    let changed = false;
+
+    root.find(j.CallExpression)
+        .filter(path => getReactName(ctx, path.node.callee) === 'forwardRef')
+        .forEach(path => {
+            const fn = path.node.arguments[0];
+            if (!fn || (fn.type !== 'ArrowFunctionExpression' && fn.type !== 'FunctionExpression')) return;
+
+            const [elementType, propsType] = getTypeArguments(path.node);
+            const [propsParam, refParam] = fn.params;
+            let props = propsParam;
+            if (!props) {
+                props = j.identifier('props');
+                fn.params = [props];
+            }
+
+            if (refParam && refParam.type === 'Identifier') {
+                props = rewriteRefParam(j, path.get('arguments', 0), refParam.name, props);
+            }
+            fn.params = [props];
+
+            const baseType = props.typeAnnotation ? props.typeAnnotation.typeAnnotation : propsType;
+            if (elementType) {
+                const refType = `{ ref?: Ref<${toSource(j, elementType)}> }`;
+                const type = baseType ? `${toSource(j, baseType)} & ${refType}` : refType;
+                props.typeAnnotation = j.tsTypeAnnotation(parseStatement(j, `type Props = ${type};`).typeAnnotation);
+                ctx.solidTypeImports.add('Ref');
+            } else if (baseType && !props.typeAnnotation) {
+                props.typeAnnotation = j.tsTypeAnnotation(baseType);
+            }
+
+            path.replace(fn);
+            changed = true;
+        });
+
+    return changed;
+}
+
+/**
+ * Point uses of the forwarded ref at the props object. Returns the props
+ * parameter, which is rebuilt when it is a destructuring pattern.
+ */
+function rewriteRefParam(j, fnPath, refName, props) {
+    if (props.type === 'ObjectPattern') {
+        const properties = props.properties.map(property => toSource(j, property));
+        const rest = props.properties.findIndex(property => property.type === 'RestElement');
+        properties.splice(rest === -1 ? properties.length : rest, 0, refName === 'ref' ? 'ref' : `ref: ${refName}`);
+
+        const typeAnnotation = props.typeAnnotation ? `: ${toSource(j, props.typeAnnotation.typeAnnotation)}` : '';
+        const pattern = parseExpression(j, `({ ${properties.join(', ')} }${typeAnnotation}) => {}`).params[0];
+        return pattern;
+    }
+
+    const scope = fnPath.scope;
+    j(fnPath).find(j.Identifier, { name: refName })
+        .filter(path => isReference(path) && path.scope.lookup(refName) === scope)
+        .forEach(path => {
+            path.replace(j.memberExpression(j.identifier(props.name), j.identifier('ref')));
+        });
+    return props;
+}
+
+/**
+ * A component's `ref` prop arrives as a function in Solid, so
+ * `useImperativeHandle(ref, () => handle)` calls it with the handle.
+ */
+function convertImperativeHandles(ctx) {
+    const { j, root } = ctx;
+    let changed = false;
+
+    root.find(j.ExpressionStatement, { expression: { type: 'CallExpression' } })
+        .filter(path => getReactName(ctx, path.node.expression.callee) === 'useImperativeHandle')
+        .forEach(path => {
+            const [ref, factory] = path.node.expression.arguments;
+            if (!ref || !factory) return;
+
+            const target = toSource(j, ref);
+            const handle = factory.type === 'ArrowFunctionExpression' && factory.body.type !== 'BlockStatement'
+                ? toSource(j, factory.body)
+                : `(${toSource(j, factory)})()`;
+
+            replaceStatement(path, parseStatement(j, `typeof ${target} === 'function' && ${target}(${handle});`));
+            changed = true;
+        });
+
+    return changed;
+}
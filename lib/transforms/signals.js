@@ -0,0 +1,75 @@
+import { isReference, isTSExpression } from '../ast-utils.js';
+import { functionName, isCustomHookName } from '../custom-hooks.js';
+
+/**
+ * Signals and memos are accessors in Solid: every read of `count` becomes
+ * `count()`, in JSX expressions, callbacks and template literals alike.
+ * Setter calls and inner bindings that shadow the getter are left alone, as
+ * are getters a custom hook returns: its callers receive the accessor.
+ */
+export function convertSignalReads(ctx) {
+    const { j, root } = ctx;
+    let changed = false;
+
+    for (const signal of ctx.signals) {
+        root.find(j.Identifier, { name: signal.name })
+            .filter(path => isReference(path) && !isCalled(path) && !isReturnedFromHook(path))
+            .filter(path => {
+                const scope = path.scope && path.scope.lookup(signal.name);
+                return Boolean(scope) && scope.node === signal.scope;
+            })
+            .forEach(path => {
+                const parent = path.parent.node;
+                const call = j.callExpression(j.identifier(signal.name), []);
+                if ((parent.type === 'ObjectProperty' || parent.type === 'Property') && parent.shorthand) {
+                    parent.shorthand = false;
+                }
+                path.replace(call);
+                changed = true;
+            });
+    }
+
+    return changed;
+}
+
+/**
+ * `count()` is already a read; leave it as it is.
+ */
+function isCalled(path) {
+    const parent = path.parent.node;
+    return parent.type === 'CallExpression' && parent.callee === path.node;
+}
+
+/**
+ * `return count`, `return [count, setCount]` or `return { count }` at the
+ * end of a custom hook, also behind `as const`, `satisfies` or `!`.
+ */
+function isReturnedFromHook(path) {
+    let child = path;
+    let current = path.parent;
+    const skipTSExpressions = () => {
+        while (isTSExpression(current.node)) {
+            child = current;
+            current = current.parent;
+        }
+    };
+    skipTSExpressions();
+    for (const wrapper of [['ObjectProperty', 'Property'], ['ArrayExpression', 'ObjectExpression']]) {
+        if (wrapper.includes(current.node.type)) {
+            child = current;
+            current = current.parent;
+        }
+    }
+    skipTSExpressions();
+
+    let fnPath = null;
+    if (current.node.type === 'ReturnStatement') {
+        fnPath = current.parent && current.parent.parent;
+    } else if (current.node.type === 'ArrowFunctionExpression' && current.node.body === child.node) {
+        fnPath = current;
+    }
+    if (!fnPath || !fnPath.node.type.includes('Function')) return false;
+
+    const name = functionName(fnPath);
+    return Boolean(name) && isCustomHookName(name);
+}
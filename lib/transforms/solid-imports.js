@@ -0,0 +1,48 @@
+/**
+ * Add the solid-js imports the earlier transforms asked for, merging into an
+ * existing `import { ... } from 'solid-js'` when the file already has one.
+ */
+export function addSolidImports(ctx) {
+    const { j, root } = ctx;
+    const specifiers = [
+        ...[...ctx.solidImports].sort().map(name => ({ name, importKind: 'value' })),
+        ...[...ctx.solidTypeImports].sort().map(name => ({ name, importKind: 'type' }))
+    ];
+    if (specifiers.length === 0) return false;
+
+    const existing = root.find(j.ImportDeclaration, { source: { value: 'solid-js' } })
+        .filter(path => path.node.importKind !== 'type'
+            && path.node.specifiers.every(specifier => specifier.type === 'ImportSpecifier'));
+
+    if (existing.size() > 0) {
+        const declaration = existing.paths()[0].node;
+        const present = new Set(declaration.specifiers.map(specifier => specifier.imported.name));
+        for (const specifier of specifiers) {
+            if (!present.has(specifier.name)) declaration.specifiers.push(buildSpecifier(j, specifier, true));
+        }
+        return true;
+    }
+
+    const typesOnly = specifiers.every(specifier => specifier.importKind === 'type');
+    const declaration = j.importDeclaration(
+        specifiers.map(specifier => buildSpecifier(j, specifier, !typesOnly)),
+        j.stringLiteral('solid-js')
+    );
+    if (typesOnly) declaration.importKind = 'type';
+
+    const body = root.get().node.program.body;
+    const firstImport = body.findIndex(node => node.type === 'ImportDeclaration');
+    if (firstImport !== -1 && body[firstImport].comments) {
+        // Keep file headers above the new import.
+        declaration.comments = body[firstImport].comments.filter(comment => comment.leading);
+        body[firstImport].comments = body[firstImport].comments.filter(comment => !comment.leading);
+    }
+    body.splice(Math.max(firstImport, 0), 0, declaration);
+    return true;
+}
+
+function buildSpecifier(j, { name, importKind }, inline) {
+    const specifier = j.importSpecifier(j.identifier(name));
+    if (inline && importKind === 'type') specifier.importKind = 'type';
+    return specifier;
+}
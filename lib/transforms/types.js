@@ -0,0 +1,100 @@
+import { getReactName, parseStatement, toSource } from '../ast-utils.js';
+
+/**
+ * React type names and the Solid types that replace them.
+ */
+const TYPE_MAP = {
+    FC: { name: 'Component', import: 'Component' },
+    FunctionComponent: { name: 'Component', import: 'Component' },
+    PropsWithChildren: { name: 'ParentProps', import: 'ParentProps' },
+    ReactNode: { name: 'JSX.Element', import: 'JSX' },
+    ReactElement: { name: 'JSX.Element', import: 'JSX' },
+    CSSProperties: { name: 'JSX.CSSProperties', import: 'JSX' }
+};
+
+/**
+ * React's synthetic events and the DOM events Solid passes to handlers.
+ */
+const EVENT_TYPES = {
+    SyntheticEvent: 'Event',
+    ChangeEvent: 'Event',
+    FormEvent: 'Event',
+    InvalidEvent: 'Event',
+    MouseEvent: 'MouseEvent',
+    KeyboardEvent: 'KeyboardEvent',
+    FocusEvent: 'FocusEvent',
+    PointerEvent: 'PointerEvent',
+    DragEvent: 'DragEvent',
+    TouchEvent: 'TouchEvent',
+    WheelEvent: 'WheelEvent',
+    AnimationEvent: 'AnimationEvent',
+    TransitionEvent: 'TransitionEvent',
+    ClipboardEvent: 'ClipboardEvent',
+    CompositionEvent: 'CompositionEvent',
+    UIEvent: 'UIEvent'
+};
+
+/** Types whose operand needs parentheses when it is an intersection. */
+const BINDS_TIGHTER = new Set(['TSArrayType', 'TSTypeOperator', 'TSIndexedAccessType']);
+
+/**
+ * Rewrite React type references (`React.FC<Props>`, `ReactNode`, ...) to
+ * their solid-js equivalents. Event types become the DOM event with
+ * Solid's typed `currentTarget` (`React.MouseEvent<HTMLButtonElement>` is
+ * `MouseEvent & { currentTarget: HTMLButtonElement; target: Element }`),
+ * and handler types `JSX.EventHandler<HTMLButtonElement, MouseEvent>`.
+ */
+export function convertTypes(ctx) {
+    const { j, root } = ctx;
+    let changed = false;
+
+    root.find(j.TSTypeReference).forEach(path => {
+        const reactName = getReactName(ctx, path.node.typeName);
+        const event = convertEventType(j, reactName, path.node);
+        if (event) {
+            if (event.type === 'TSTypeReference') ctx.solidTypeImports.add('JSX');
+            // `MouseEvent & { ... }[]` would make the array part of the intersection
+            path.replace(event.type === 'TSIntersectionType' && BINDS_TIGHTER.has(path.parent.node.type) ? j.tsParenthesizedType(event) : event);
+            changed = true;
+            return;
+        }
+
+        const mapped = TYPE_MAP[reactName];
+        if (!mapped) return;
+
+        path.node.typeName = toTypeName(j, mapped.name);
+        ctx.solidTypeImports.add(mapped.import);
+        changed = true;
+    });
+
+    return changed;
+}
+
+/** True for the React types convertTypes replaces. */
+export function isConvertedType(reactName) {
+    const handler = reactName.endsWith('EventHandler');
+    return reactName in TYPE_MAP || reactName.slice(0, handler ? -'Handler'.length : undefined) in EVENT_TYPES;
+}
+
+/**
+ * The Solid type for a React event or event handler type, or null when
+ * `reactName` is neither.
+ */
+function convertEventType(j, reactName, node) {
+    if (!reactName) return null;
+    const handler = reactName.endsWith('EventHandler');
+    const domEvent = EVENT_TYPES[handler ? reactName.slice(0, -'Handler'.length) : reactName];
+    if (!domEvent) return null;
+
+    const element = node.typeParameters ? toSource(j, node.typeParameters.params[0]) : 'Element';
+    // React types a ChangeEvent's target as the element too
+    const target = reactName === 'ChangeEvent' ? element : 'Element';
+    const type = handler
+        ? `JSX.EventHandler<${element}, ${domEvent}>`
+        : `${domEvent} & { currentTarget: ${element}; target: ${target} }`;
+    return parseStatement(j, `type _ = ${type};`).typeAnnotation;
+}
+
+function toTypeName(j, name) {
+    return name.split('.').map(part => j.identifier(part)).reduce((left, right) => j.tsQualifiedName(left, right));
+}
@@ -0,0 +1,133 @@
+import chalk from 'chalk';
+import { spawnSync } from 'child_process';
+import path from 'path';
+import fs from 'fs-extra';
+import ts from 'typescript';
+
+/**
+ * Converted files that fail validation are moved here with their errors,
+ * like migrate.js does with the files Gemini could not convert.
+ */
+export const QUARANTINE_DIR = 'CONFLICTCHECK';
+
+/** Added to the new package.json when the type check is requested. */
+export const TYPESCRIPT_VERSION = '5.9.2';
+
+const CODE_FILE = /\.(tsx?|jsx?|mjs)$/;
+
+/** `src/a.tsx(3,7): error TS2322: Type ...` as printed by tsc --pretty false. */
+const TSC_ERROR = /^(.+?)\((\d+),(\d+)\): error (TS\d+): (.*)$/;
+
+/**
+ * Why `code` does not parse, as `{ line, column, message }` entries.
+ * The TypeScript compiler's parser is used rather than the one the
+ * transforms print with, so what recast gets wrong is not accepted by the
+ * same rules that produced it. Files other than JavaScript and TypeScript
+ * are not checked.
+ */
+export function parseDiagnostics(code, file) {
+    if (!CODE_FILE.test(file)) return [];
+    // Only the syntax is looked at: nothing is resolved or type-checked
+    const { diagnostics } = ts.transpileModule(code, {
+        fileName: file,
+        reportDiagnostics: true,
+        compilerOptions: { jsx: ts.JsxEmit.Preserve, target: ts.ScriptTarget.ESNext }
+    });
+    return diagnostics.map(diagnostic => {
+        const position = diagnostic.file && diagnostic.start !== undefined
+            ? diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start)
+            : null;
+        return {
+            line: position ? position.line + 1 : null,
+            column: position ? position.character + 1 : null,
+            message: ts.flattenDiagnosticMessageText(diagnostic.messageText, ' ')
+        };
+    });
+}
+
+/**
+ * Run the new project's own TypeScript (`tsc --noEmit`), so JSX is checked
+ * against Solid's types through the generated tsconfig.json. Returns the
+ * errors by file, relative to the project root, or null when TypeScript is
+ * not installed in the project.
+ */
+export function typeCheck(projectRoot) {
+    const tsc = path.join(projectRoot, 'node_modules', '.bin', process.platform === 'win32' ? 'tsc.cmd' : 'tsc');
+    if (!fs.existsSync(tsc)) return null;
+
+    const result = spawnSync(tsc, ['--noEmit', '--pretty', 'false', '-p', 'tsconfig.json'], {
+        cwd: projectRoot,
+        encoding: 'utf-8',
+        shell: process.platform === 'win32'
+    });
+    if (result.error) throw result.error;
+
+    const diagnostics = new Map();
+    for (const line of result.stdout.split('\n')) {
+        const match = TSC_ERROR.exec(line.trim());
+        if (!match) continue;
+        const [, file, row, column, code, message] = match;
+        const key = path.relative(projectRoot, path.resolve(projectRoot, file)).split(path.sep).join('/');
+        if (!diagnostics.has(key)) diagnostics.set(key, []);
+        diagnostics.get(key).push({ line: Number(row), column: Number(column), message: `${code}: ${message}` });
+    }
+    return diagnostics;
+}
+
+/**
+ * Check the files the migration wrote, given as `{ target, code }` with
+ * `target` relative to the project root. Every file is parsed; with
+ * `types` the project is also type-checked. Returns the failing files as
+ * a Map of target to diagnostics (each tagged with the `check` that found
+ * it) and whether the type check ran.
+ */
+export function validateOutputs(projectRoot, outputs, { types = false } = {}) {
+    const failures = new Map();
+    const fail = (target, check, diagnostics) => {
+        if (diagnostics.length === 0) return;
+        failures.set(target, [...(failures.get(target) || []), ...diagnostics.map(diagnostic => ({ check, ...diagnostic }))]);
+    };
+
+    for (const { target, code } of outputs) {
+        fail(target, 'parse', parseDiagnostics(code, target));
+    }
+
+    const typeErrors = types ? typeCheck(projectRoot) : null;
+    if (typeErrors) {
+        // tsc repeats the syntax errors already found
+        outputs
+            .filter(({ target }) => !failures.has(target))
+            .forEach(({ target }) => fail(target, 'types', typeErrors.get(target) || []));
+    }
+
+    return { failures, typeChecked: Boolean(typeErrors) };
+}
+
+export function formatDiagnostic(target, { check, line, column, message }) {
+    return `${target}${line ? `:${line}:${column}` : ''} [${check}] ${message}`;
+}
+
+/**
+ * Move a file that failed validation to QUARANTINE_DIR, keeping its path,
+ * with its diagnostics next to it in `<file>.errors.txt`. Returns the new
+ * path relative to the project root.
+ */
+export async function quarantine(projectRoot, target, diagnostics) {
+    const file = path.posix.join(QUARANTINE_DIR, target);
+    await fs.move(path.join(projectRoot, target), path.join(projectRoot, file), { overwrite: true });
+    await fs.writeFile(
+        path.join(projectRoot, `${file}.errors.txt`),
+        `${diagnostics.map(diagnostic => formatDiagnostic(target, diagnostic)).join('\n')}\n`
+    );
+    return file;
+}
+
+export function printValidationReport(quarantined) {
+    if (quarantined.length === 0) return;
+    console.log(chalk.red(`\nQuarantined - moved to ${QUARANTINE_DIR}/ because they failed validation:`));
+    for (const { file, diagnostics } of quarantined) {
+        const [first] = diagnostics;
+        const more = diagnostics.length > 1 ? ` (and ${diagnostics.length - 1} more)` : '';
+        console.log(chalk.red(`  • ${file}${first.line ? `:${first.line}` : ''}: ${first.message}${more}`));
+    }
+}
@@ -1,110 +1,188 @@
 #!/usr/bin/env node
 
-import { GoogleGenAI } from "@google/genai";
-import inquirer from 'inquirer';
 import chalk from 'chalk';
-import { spawnSync } from 'child_process';
 import path from 'path';
 import fs from 'fs-extra';
-import ora from 'ora';
+import fg from 'fast-glob';
 import { fileURLToPath } from 'url';
+import { createFilePatch, printDryRunSummary, printPatch, writePatches } from './lib/dry-run.js';
+import { loadSettings, printUsage, promptForMissing, runCommand } from './lib/cli.js';
+import { createTemplate, scaffoldProject } from './lib/scaffold.js';
+import { assignTargets, createResolver, listProjectFiles, loadPathAliases, printTargetCollisions } from './lib/imports.js';
+import { checkFile, createManifest, flushManifest, loadManifest, MANIFEST_FILE, recordFile, writeRecorded } from './lib/manifest.js';
+import { createConversionOptions } from './lib/convert.js';
+import { collectCustomHooks } from './lib/custom-hooks.js';
+import { convertedMessage, convertHybrid } from './lib/hybrid.js';
+import { runAfterScaffold } from './lib/plugins.js';
+import { createProvider } from './lib/providers/index.js';
+import { createProgress, DEFAULT_CONCURRENCY, runPool } from './lib/pool.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const SYSTEM_PROMPT_CODE_CONVERSION = `You are an expert code transpiler. Your task is to convert the provided React component code into its equivalent SolidJS code.
-- Convert React hooks (useState, useEffect, useContext) to SolidJS signals and effects (createSignal, createEffect, useContext).
-- Change the 'className' prop to 'class'.
-- Maintain the original file structure and component logic.
-- Ensure all imports are updated for SolidJS where necessary (e.g., remove 'import React...').
-- Respond ONLY with the raw, transpiled SolidJS code. Do not include any explanation, markdown (like \`\`\`tsx), comments, or extra text. Your entire response should be valid code.`;
+const SOURCE_DIRS = ['app/components', 'app/ui', 'app/hooks', 'app/lib'];
 
 /**
- * Executes a shell command in a specified directory and streams its output.
- * Throws an error if the command fails.
- * @param {string} commandString - The full command to execute (e.g., "npm install").
- * @param {string} cwd - The working directory to run the command in.
+ * Lists the component files to convert, relative to the project root.
+ * @param {string} projectRoot - Absolute path of the project to migrate.
+ * @param {{searchGlobs?: string[], ignore?: string[]}} options - Overrides from the config file.
+ * @returns {Promise<string[]>} Sorted relative paths such as `app/components/Nav.tsx`.
  */
-function runCommand(commandString, cwd) {
-    console.log(chalk.dim(`$ ${commandString}  (in ${cwd || './'})`));
-    const [command, ...args] = commandString.split(' ');
-
-    const result = spawnSync(command, args, {
-        stdio: 'inherit', // Show real-time output
-        shell: true,      // Crucial for finding npm/npx and for cross-platform compatibility
-        cwd: cwd          // Set the working directory for this command
-    });
-
-    if (result.status !== 0) {
-        console.error(chalk.red(`\nCommand failed with exit code ${result.status}: "${commandString}"`));
-        throw new Error(`Command failed: ${commandString}`);
-    }
+async function listSourceFiles(projectRoot, { searchGlobs, ignore = [] } = {}) {
+    const patterns = searchGlobs || SOURCE_DIRS.map(dir => `${dir}/**/*.{tsx,jsx}`);
+    const files = await fg(patterns, { cwd: projectRoot, ignore: ['**/node_modules/**', ...ignore] });
+    return files.sort();
 }
 
+/**
+ * Adds what the transforms need to know about the whole project to the
+ * conversion options: the custom hooks its files define and how its
+ * imports resolve, tsconfig aliases included.
+ * @param {string} projectRoot - Absolute path of the project to migrate.
+ * @param {string[]} files - The files that will be converted, relative to projectRoot.
+ * @param {object} conversionOptions - From createConversionOptions.
+ * @returns {Promise<object>} The options to convert each file with.
+ */
+async function withProjectContext(projectRoot, files, conversionOptions) {
+    // A file that cannot be read is reported when it is converted
+    const sources = await Promise.all(files.map(async file => ({
+        file,
+        code: await fs.readFile(path.join(projectRoot, file), 'utf-8').catch(() => '')
+    })));
+    return {
+        ...conversionOptions,
+        customHooks: collectCustomHooks(sources),
+        resolveImport: createResolver(await listProjectFiles(projectRoot), await loadPathAliases(projectRoot))
+    };
+}
 
-async function convertFileWithGemini(ai, filePath, fileContent) {
-    const prompt = `Convert the following React code from \`${filePath}\` to SolidJS:\n\n---\n\n${fileContent}`;
-    
-    // Safety net for retries
-    for (let i = 0; i < 3; i++) {
+/**
+ * Converts every file the migration would convert, in memory, and prints a
+ * unified diff per file (or writes them to patchDir). Skips project
+ * creation, dependency installs and all writes to the new project.
+ * @param {object|null} provider - Model provider for files the local transforms cannot finish.
+ * @param {object} conversionOptions - From createConversionOptions.
+ * @param {string} oldProjectRoot - Absolute path of the project to migrate.
+ * @param {string|null} patchDir - Directory to write .patch files to, or null to print them.
+ * @param {{searchGlobs?: string[], ignore?: string[], concurrency?: number}} options - File selection overrides
+ *   and how many files to convert at once.
+ */
+async function runDryRun(provider, conversionOptions, oldProjectRoot, patchDir, options) {
+    console.log(chalk.blue('\nConverting components in memory (dry run)...'));
+    const results = {
+        patches: [],
+        skipped: [],
+        failed: [],
+        generated: Object.keys(createTemplate({ name: 'project', cloudflareName: 'project' }))
+    };
+
+    const files = await listSourceFiles(oldProjectRoot, options);
+    const { targets, collisions } = assignTargets(files);
+    printTargetCollisions(collisions);
+    const projectOptions = await withProjectContext(oldProjectRoot, files, conversionOptions);
+    const progress = createProgress(files.length);
+    // Model calls run side by side; patches are collected in file order
+    await runPool(files, async file => {
         try {
-            const response = await ai.models.generateContent({
-                model: 'gemini-2.5-flash',
-                contents: prompt,
-                config: {
-                    systemInstruction: SYSTEM_PROMPT_CODE_CONVERSION,
-                    temperature: 0.1,
-                }
-            });
-            let convertedCode = response.text.trim();
-            if (convertedCode.startsWith('\`\`\`')) {
-                convertedCode = convertedCode.replace(/^\`\`\`(tsx|jsx|js)?\n/, '').replace(/\n\`\`\`$/, '');
-            }
-            return convertedCode;
-        } catch (error) {
-            if (i === 2) throw error; // Rethrow after last attempt
-            await new Promise(res => setTimeout(res, 1000 * (i + 1))); // Wait before retrying
+            const fileContent = await fs.readFile(path.join(oldProjectRoot, file), 'utf-8');
+            return { fileContent, converted: await convertHybrid(fileContent, file, projectOptions, provider) };
+        } catch (err) {
+            return { err };
+        }
+    }, { concurrency: options.concurrency, onSettled: () => progress.tick(), commit: ({ fileContent, converted, err }, file) => {
+        if (err) {
+            results.failed.push({ file, error: err.message });
+            progress.fail(chalk.red(`Failed to convert: ${file}`));
+            return;
         }
+        results.patches.push({ file, patch: createFilePatch(file, targets.get(file), fileContent, converted.code) });
+        progress.succeed(chalk.green(convertedMessage(file, converted)));
+    } });
+    progress.done();
+
+    if (patchDir) {
+        await writePatches(results.patches, path.resolve(patchDir));
+        console.log(chalk.green(`✔ Wrote ${results.patches.length} patches to ${patchDir}`));
+    } else {
+        results.patches.forEach(({ patch }) => printPatch(patch));
     }
+    printDryRunSummary(results);
 }
 
 async function runMigration() {
     console.log(chalk.cyan.bold('🚀 Astro/SolidJS Automated Migration Tool 🚀\n'));
 
-    if (!process.env.GEMINI_API_KEY) {
+    let settings;
+    try {
+        settings = await loadSettings();
+    } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        printUsage('migrate.js');
+        process.exit(1);
+    }
+    if (settings.help) {
+        printUsage('migrate.js');
+        return;
+    }
+
+    const providerName = settings.provider || 'gemini';
+    if (providerName === 'gemini' && !process.env.GEMINI_API_KEY) {
         console.error(chalk.red('Error: GEMINI_API_KEY environment variable not set.'));
         console.log(chalk.yellow('Please set your API key before running the script:'));
         console.log(chalk.white('export GEMINI_API_KEY="your_api_key_here"'));
+        console.log(chalk.yellow('Or run without a model: --provider none'));
         process.exit(1);
     }
 
-    const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+    let provider;
+    try {
+        provider = createProvider(providerName, { model: settings.model, rateLimit: settings.rateLimit });
+    } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+    }
+
+    const { dryRun, patchDir } = settings;
+    if (dryRun) {
+        console.log(chalk.yellow('🔍 Dry run: no project will be created and no files will be written.\n'));
+    }
 
-    const answers = await inquirer.prompt([
+    const answers = await promptForMissing([
         {
             type: 'input',
-            name: 'oldProjectDir',
+            name: 'source',
             message: 'Enter the name of the existing project directory to migrate:',
             default: 'anemone-duette-master',
         },
         {
             type: 'input',
-            name: 'newProjectName',
+            name: 'out',
             message: 'Enter the name for your new Astro project directory:',
             default: 'anemone-astro-solid',
         },
         {
             type: 'input',
-            name: 'cloudflareProjectName',
+            name: 'cloudflareName',
             message: 'Enter your Cloudflare project name (for wrangler.toml):',
+            when: () => !dryRun,
+            default: (answers) => path.basename(answers.out),
             validate: (input) => input.trim() !== '' || 'Cloudflare project name cannot be empty.',
         },
-    ]);
+        {
+            type: 'confirm',
+            name: 'install',
+            message: 'Install dependencies now? (needs network access; you can run npm install later)',
+            when: () => !dryRun,
+            default: false,
+        },
+    ], settings);
 
-    const { oldProjectDir, newProjectName, cloudflareProjectName } = answers;
+    const { source: oldProjectDir, out: newProjectName, cloudflareName: cloudflareProjectName, install } = answers;
+    const concurrency = answers.concurrency || DEFAULT_CONCURRENCY;
+    const fileOptions = { searchGlobs: answers.searchGlobs, ignore: answers.ignore, concurrency };
     const initialCwd = process.cwd();
-    const oldProjectRoot = path.join(initialCwd, oldProjectDir);
-    const newProjectRoot = path.join(initialCwd, newProjectName);
+    const oldProjectRoot = path.resolve(initialCwd, oldProjectDir);
+    const newProjectRoot = path.resolve(initialCwd, newProjectName);
     const conflictDir = path.join(newProjectRoot, 'CONFLICTCHECK');
 
     if (!await fs.pathExists(oldProjectRoot)) {
@@ -113,22 +191,35 @@ async function runMigration() {
     }
     
     try {
-        console.log(chalk.blue('\nStep 1: Creating new Astro project...'));
-        runCommand(`npm create astro@latest ${newProjectName} -- --template minimal --no-install --skip-houston`, initialCwd);
-        
-        console.log(chalk.blue('\nStep 2: Installing dependencies...'));
-        runCommand('npm install', newProjectRoot);
-        
-        console.log(chalk.blue('\nStep 3: Adding Astro integrations (SolidJS, Cloudflare)...'));
-        runCommand('npx astro add solid -y', newProjectRoot);
-        runCommand('npx astro add cloudflare -y', newProjectRoot);
-        
-        console.log(chalk.blue('\nStep 4: Generating wrangler.toml...'));
-        const wranglerContent = `name = "${cloudflareProjectName}"\ncompatibility_date = "2024-07-25"\n\n[pages_build_output]\ndir = "./dist"`;
-        await fs.writeFile(path.join(newProjectRoot, 'wrangler.toml'), wranglerContent);
-        console.log(chalk.green('✔ wrangler.toml generated.'));
+        const conversionOptions = await createConversionOptions(answers, initialCwd);
+        if (dryRun) {
+            await runDryRun(provider, conversionOptions, oldProjectRoot, patchDir, fileOptions);
+            return;
+        }
 
-        console.log(chalk.blue('\nStep 5: Migrating public assets...'));
+        console.log(chalk.blue('\nStep 1: Creating new Astro project from the built-in template...'));
+        // A rerun into the same directory picks up where the last run left off
+        const previousManifest = await loadManifest(newProjectRoot);
+        const manifest = previousManifest || createManifest();
+        if (previousManifest) {
+            console.log(chalk.yellow(`Found ${MANIFEST_FILE}: only new, changed and failed files are converted again.`));
+        }
+        const written = await scaffoldProject(
+            newProjectRoot,
+            { name: newProjectName, cloudflareName: cloudflareProjectName },
+            { manifest, resume: Boolean(previousManifest) }
+        );
+        console.log(chalk.green(written.length > 0 ? `✔ Wrote ${written.join(', ')}.` : '✔ Project files are up to date.'));
+        await runAfterScaffold(conversionOptions.plugins, { projectRoot: newProjectRoot, sourceRoot: oldProjectRoot, options: answers, written });
+
+        if (install) {
+            console.log(chalk.blue('\nStep 2: Installing dependencies...'));
+            runCommand('npm install', newProjectRoot);
+        } else {
+            console.log(chalk.yellow('\nStep 2: Skipping dependency install (run npm install later).'));
+        }
+
+        console.log(chalk.blue('\nStep 3: Migrating public assets...'));
         const oldPublicDir = path.join(oldProjectRoot, 'app', 'public');
         if (await fs.pathExists(oldPublicDir)) {
             await fs.copy(oldPublicDir, path.join(newProjectRoot, 'public'));
@@ -137,42 +228,68 @@ async function runMigration() {
             console.log(chalk.yellow('! No public directory found to migrate.'));
         }
 
-        console.log(chalk.blue('\nStep 6: Starting automated component conversion...'));
-        const sourceDirs = ['app/components', 'app/ui', 'app/hooks', 'app/lib'];
-        for (const dir of sourceDirs) {
-            const oldDir = path.join(oldProjectRoot, dir);
-            if (await fs.pathExists(oldDir)) {
-                const files = await fs.readdir(oldDir, { recursive: true });
-                for (const file of files) {
-                    const oldFilePath = path.join(oldDir, file);
-                    if ((file.endsWith('.tsx') || file.endsWith('.jsx')) && (await fs.stat(oldFilePath)).isFile()) {
-                        const fileSpinner = ora(`Converting: ${file}`).start();
-                        try {
-                            const fileContent = await fs.readFile(oldFilePath, 'utf-8');
-                            const convertedCode = await convertFileWithGemini(ai, file, fileContent);
-                            
-                            const newRelativePath = path.join('src', dir.replace('app/', ''), file);
-                            const newFilePath = path.join(newProjectRoot, newRelativePath);
-                            
-                            await fs.ensureDir(path.dirname(newFilePath));
-                            await fs.writeFile(newFilePath, convertedCode);
-                            fileSpinner.succeed(chalk.green(`Converted: ${file}`));
-                        } catch (err) {
-                            fileSpinner.fail(chalk.red(`Failed to convert: ${file}`));
-                            await fs.ensureDir(conflictDir);
-                            await fs.copy(oldFilePath, path.join(conflictDir, path.basename(file)));
-                        }
-                    }
-                }
+        console.log(chalk.blue('\nStep 4: Starting automated component conversion...'));
+        const files = await listSourceFiles(oldProjectRoot, fileOptions);
+        const { targets, collisions } = assignTargets(files);
+        printTargetCollisions(collisions);
+        const projectOptions = await withProjectContext(oldProjectRoot, files, conversionOptions);
+        const progress = createProgress(files.length);
+        // Up to `concurrency` files are with the model at once; what comes
+        // back is written and reported in file order
+        await runPool(files, async file => {
+            // Whatever goes wrong with one file is handled with it in commit
+            let fileContent = null;
+            let action = 'convert';
+            try {
+                fileContent = await fs.readFile(path.join(oldProjectRoot, file), 'utf-8');
+                ({ action } = await checkFile(newProjectRoot, manifest, targets.get(file), fileContent));
+                if (action !== 'convert') return { fileContent, action };
+                return { fileContent, action, converted: await convertHybrid(fileContent, file, projectOptions, provider) };
+            } catch (err) {
+                return { fileContent, action, err };
             }
-        }
+        }, { concurrency, onSettled: () => progress.tick(), commit: async ({ fileContent, action, converted, err }, file) => {
+            const oldFilePath = path.join(oldProjectRoot, file);
+            const target = targets.get(file);
+            if (action === 'unchanged') {
+                progress.info(chalk.dim(`Unchanged since the last run: ${file}`));
+                return;
+            }
+            if (action === 'edited') {
+                progress.warn(chalk.yellow(`Edited by hand, left alone: ${target}`));
+                return;
+            }
+
+            try {
+                if (err) throw err;
+                await writeRecorded(newProjectRoot, manifest, target, converted.code, {
+                    file,
+                    source: fileContent,
+                    status: 'converted',
+                    warnings: converted.warnings,
+                    via: converted.via,
+                    reasons: converted.reasons,
+                    modelPatch: converted.modelPatch
+                });
+                progress.succeed(chalk.green(convertedMessage(file, converted)));
+                converted.warnings.forEach(warning => console.log(chalk.yellow(`  ! ${warning}`)));
+            } catch (err) {
+                await recordFile(newProjectRoot, manifest, target, { file, source: fileContent, status: 'failed', error: err.message });
+                progress.fail(chalk.red(`Failed to convert: ${file}`));
+                // A file that could not be read cannot be copied either
+                await fs.ensureDir(conflictDir);
+                await fs.copy(oldFilePath, path.join(conflictDir, file)).catch(() => {});
+            }
+        } });
+        progress.done();
+        await flushManifest(newProjectRoot, manifest);
         
         console.log(chalk.cyan.bold('\n\n🎉 Migration process completed! 🎉'));
         console.log(chalk.white(`Your new Astro/SolidJS project is ready at: ${newProjectRoot}`));
         console.log(chalk.yellow('Some files may have failed conversion and were moved to the CONFLICTCHECK directory for manual review.'));
         console.log(chalk.bold('\nNext Steps:'));
         console.log(chalk.cyan(`1. cd ${newProjectName}`));
-        console.log(chalk.cyan('2. npm run dev'));
+        console.log(chalk.cyan(install ? '2. npm run dev' : '2. npm install && npm run dev'));
 
     } catch (error) {
         console.error(chalk.red('\n✖ A critical error occurred during the migration.'));
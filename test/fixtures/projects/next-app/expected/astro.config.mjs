@@ -0,0 +1,12 @@
+import { defineConfig } from 'astro/config';
+import solidJs from '@astrojs/solid-js';
+import cloudflare from '@astrojs/cloudflare';
+
+export default defineConfig({
+  output: 'server',
+  adapter: cloudflare({
+    platformProxy: { enabled: true },
+    mode: 'directory'
+  }),
+  integrations: [solidJs()],
+});
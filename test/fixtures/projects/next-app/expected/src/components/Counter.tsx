@@ -0,0 +1,21 @@
+import { createSignal, mergeProps } from 'solid-js';
+import clsx from 'clsx';
+import { createToggle } from '@hooks/useToggle';
+import styles from './Counter.module.css';
+
+export function Counter(rawProps: { start?: number }) {
+    const props = mergeProps({ start: 0 }, rawProps);
+    const [count, setCount] = createSignal(props.start);
+    const [label, setLabel] = createSignal('Clicks');
+    const [big, toggleBig] = createToggle(false);
+
+    return (
+        <div class={clsx(styles.counter, big() && styles.big)} style={{ 'font-size': big() ? '24px' : '16px' }}>
+            <input value={label()} onInput={event => setLabel(event.target.value)} />
+            <button onClick={() => setCount(count() + 1)}>
+                {label()}: {count()}
+            </button>
+            <button onClick={toggleBig}>Toggle size</button>
+        </div>
+    );
+}
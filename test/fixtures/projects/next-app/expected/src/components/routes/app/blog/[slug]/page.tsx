@@ -0,0 +1,14 @@
+import { Badge } from '@/components/Badge-2';
+
+export async function generateStaticParams() {
+    return [{ slug: 'hello' }, { slug: 'world' }];
+}
+
+export default function Post(props: { params: { slug: string } }) {
+    return (
+        <article>
+            <h1>{props.params.slug} <Badge count={props.params.slug.length} /></h1>
+            <a href="/">Back</a>
+        </article>
+    );
+}
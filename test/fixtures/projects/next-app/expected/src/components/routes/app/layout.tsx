@@ -0,0 +1,8 @@
+import type { JSX } from 'solid-js';
+import '@/styles/globals.css';
+
+export const metadata = { title: 'Next app' };
+
+export default function RootLayout(props: { children: JSX.Element }) {
+    return <>{props.children}</>;
+}
@@ -0,0 +1,12 @@
+/// <reference types="astro/client" />
+
+type Runtime = import('@astrojs/cloudflare').Runtime<Env>;
+
+interface Env {
+	ADMIN_TOKEN: string;
+	GREETING: string;
+}
+
+declare namespace App {
+	interface Locals extends Runtime {}
+}
@@ -0,0 +1,7 @@
+import { createSignal } from 'solid-js';
+
+export function createToggle(initial: boolean) {
+    const [on, setOn] = createSignal(initial);
+    const toggle = () => setOn(!on());
+    return [on, toggle] as const;
+}
@@ -0,0 +1,28 @@
+import type { APIRoute } from 'astro';
+
+function isAdmin(req: Request) {
+    return req.headers.authorization === process.env.ADMIN_TOKEN;
+}
+
+export const ALL: APIRoute = async ({ request: req, params }) => {
+    const headers2 = new Headers();
+    const body2 = await readBody(req);
+    const query = { ...Object.fromEntries(new URL(req.url).searchParams), ...params };
+    // Locals with the names the conversion would otherwise use
+    const body = { echoed: true };
+    const headers = ['x-echo'];
+    if (!isAdmin(req)) {
+        return Response.json({ error: 'Unauthorized' }, { status: 401, headers: headers2 });
+    }
+    headers2.set('Cache-Control', 'no-store');
+    return Response.json({ ...body, received: body2, page: query.page, headers }, { status: 200, headers: headers2 });
+};
+
+/** Reads the body as Next.js parsed it: JSON, form fields or text. */
+async function readBody(request: Request) {
+    if (request.method === 'GET' || request.method === 'HEAD') return undefined;
+    const type = request.headers.get('content-type') || '';
+    if (type.includes('application/json')) return request.json();
+    if (type.includes('form')) return Object.fromEntries(await request.formData());
+    return request.text();
+}
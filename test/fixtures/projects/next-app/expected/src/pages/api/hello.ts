@@ -0,0 +1,5 @@
+import type { APIRoute } from 'astro';
+
+export const GET: APIRoute = async ({ locals }) => {
+    return Response.json({ greeting: locals.runtime.env.GREETING });
+};
@@ -0,0 +1,15 @@
+import Link from 'next/link';
+import { Badge } from '@/components/Badge';
+
+export async function generateStaticParams() {
+    return [{ slug: 'hello' }, { slug: 'world' }];
+}
+
+export default function Post({ params }: { params: { slug: string } }) {
+    return (
+        <article>
+            <h1>{params.slug} <Badge count={params.slug.length} /></h1>
+            <Link href="/">Back</Link>
+        </article>
+    );
+}
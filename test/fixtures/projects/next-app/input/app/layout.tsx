@@ -0,0 +1,11 @@
+import '@/styles/globals.css';
+
+export const metadata = { title: 'Next app' };
+
+export default function RootLayout({ children }: { children: React.ReactNode }) {
+    return (
+        <html lang="en">
+            <body>{children}</body>
+        </html>
+    );
+}
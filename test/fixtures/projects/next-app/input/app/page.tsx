@@ -0,0 +1,12 @@
+import { Counter } from '@/components/Counter';
+import { formatDate } from '@/lib/format';
+import { Badge } from './components/Badge';
+
+export default function Home() {
+    return (
+        <main>
+            <h1>Today is {formatDate(new Date(0))} <Badge label="new" /></h1>
+            <Counter start={1} />
+        </main>
+    );
+}
@@ -0,0 +1,3 @@
+export function Badge({ count }: { count: number }) {
+    return <strong className="badge">{count}</strong>;
+}
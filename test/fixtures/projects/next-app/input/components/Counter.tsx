@@ -0,0 +1,22 @@
+'use client';
+
+import { useState } from 'react';
+import clsx from 'clsx';
+import { useToggle } from '@hooks/useToggle';
+import styles from './Counter.module.css';
+
+export function Counter({ start = 0 }: { start?: number }) {
+    const [count, setCount] = useState(start);
+    const [label, setLabel] = useState('Clicks');
+    const [big, toggleBig] = useToggle(false);
+
+    return (
+        <div className={clsx(styles.counter, big && styles.big)} style={{ fontSize: big ? 24 : 16 }}>
+            <input value={label} onChange={event => setLabel(event.target.value)} />
+            <button onClick={() => setCount(count + 1)}>
+                {label}: {count}
+            </button>
+            <button onClick={toggleBig}>Toggle size</button>
+        </div>
+    );
+}
@@ -0,0 +1,17 @@
+import type { NextApiRequest, NextApiResponse } from 'next';
+
+function isAdmin(req: NextApiRequest) {
+    return req.headers.authorization === process.env.ADMIN_TOKEN;
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+    // Locals with the names the conversion would otherwise use
+    const body = { echoed: true };
+    const headers = ['x-echo'];
+    if (!isAdmin(req)) {
+        res.status(401).json({ error: 'Unauthorized' });
+        return;
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json({ ...body, received: req.body, page: req.query.page, headers });
+}
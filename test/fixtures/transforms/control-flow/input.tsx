@@ -0,0 +1,21 @@
+import { useState } from 'react';
+
+export function TodoList({ todos, loading, error }) {
+    const [filter, setFilter] = useState('all');
+    const visible = todos.filter(todo => filter === 'all' || todo.done === (filter === 'done'));
+
+    if (error) return <p>{error.message}</p>;
+
+    return (
+        <div>
+            {loading && <p>Loading...</p>}
+            {visible.length === 0 ? <p>Nothing to do</p> : null}
+            <ul>
+                {visible.map(todo => (
+                    <li key={todo.id}>{todo.title}</li>
+                ))}
+            </ul>
+            <button onClick={() => setFilter('done')}>Done</button>
+        </div>
+    );
+}
@@ -0,0 +1,21 @@
+import { For, Show, createSignal } from 'solid-js';
+
+export function TodoList(props) {
+    const [filter, setFilter] = createSignal('all');
+    const visible = props.todos.filter(todo => filter() === 'all' || todo.done === (filter() === 'done'));
+
+    if (props.error) return <p>{props.error.message}</p>;
+
+    return (
+        <div>
+            <Show when={props.loading}><p>Loading...</p></Show>
+            <Show when={visible.length === 0}><p>Nothing to do</p></Show>
+            <ul>
+                <For each={visible}>{todo => (
+                        <li>{todo.title}</li>
+                    )}</For>
+            </ul>
+            <button onClick={() => setFilter('done')}>Done</button>
+        </div>
+    );
+}
@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react';
+
+function useWindowWidth() {
+    const [width, setWidth] = useState(window.innerWidth);
+    useEffect(() => {
+        const onResize = () => setWidth(window.innerWidth);
+        window.addEventListener('resize', onResize);
+        return () => window.removeEventListener('resize', onResize);
+    }, []);
+    return width;
+}
+
+function useToggle(initial: boolean) {
+    const [on, setOn] = useState(initial);
+    return [on, () => setOn(!on)] as const;
+}
+
+export function Layout() {
+    const width = useWindowWidth();
+    const [open, toggle] = useToggle(false);
+    return <p onClick={toggle}>{width > 800 && open ? 'Wide' : 'Narrow'}</p>;
+}
@@ -0,0 +1,22 @@
+import { createSignal, onCleanup, onMount } from 'solid-js';
+
+function createWindowWidth() {
+    const [width, setWidth] = createSignal(window.innerWidth);
+    onMount(() => {
+        const onResize = () => setWidth(window.innerWidth);
+        window.addEventListener('resize', onResize);
+        onCleanup(() => window.removeEventListener('resize', onResize));
+    });
+    return width;
+}
+
+function createToggle(initial: boolean) {
+    const [on, setOn] = createSignal(initial);
+    return [on, () => setOn(!on())] as const;
+}
+
+export function Layout() {
+    const width = createWindowWidth();
+    const [open, toggle] = createToggle(false);
+    return <p onClick={toggle}>{width() > 800 && open() ? 'Wide' : 'Narrow'}</p>;
+}
@@ -0,0 +1,20 @@
+import { useEffect, useLayoutEffect, useState } from 'react';
+
+export function Clock({ interval }) {
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => {
+        const id = setInterval(() => setNow(Date.now()), interval);
+        return () => clearInterval(id);
+    }, [interval]);
+
+    useEffect(() => {
+        document.title = new Date(now).toLocaleTimeString();
+    }, [now]);
+
+    useLayoutEffect(() => {
+        console.log('mounted');
+    }, []);
+
+    return <time>{now}</time>;
+}
@@ -0,0 +1,20 @@
+import { createEffect, createSignal, onCleanup, onMount } from 'solid-js';
+
+export function Clock(props) {
+    const [now, setNow] = createSignal(Date.now());
+
+    createEffect(() => {
+        const id = setInterval(() => setNow(Date.now()), props.interval);
+        onCleanup(() => clearInterval(id));
+    });
+
+    createEffect(() => {
+        document.title = new Date(now()).toLocaleTimeString();
+    });
+
+    onMount(() => {
+        console.log('mounted');
+    });
+
+    return <time>{now()}</time>;
+}
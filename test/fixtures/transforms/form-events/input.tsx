@@ -0,0 +1,28 @@
+import React, { useState } from 'react';
+
+export function SignupForm({ onSubmit }: { onSubmit: (email: string) => void }) {
+    const [email, setEmail] = useState('');
+    const [agree, setAgree] = useState(false);
+
+    const handleEmail = (event: React.ChangeEvent<HTMLInputElement>) => {
+        event.persist();
+        setEmail(event.target.value);
+    };
+    const handleSubmit = (event: React.FormEvent<HTMLFormElement>) => {
+        event.preventDefault();
+        onSubmit(email);
+    };
+    const handleKey: React.KeyboardEventHandler<HTMLInputElement> = event => {
+        if (event.key === 'Escape') setEmail('');
+    };
+
+    return (
+        <form onSubmit={handleSubmit} noValidate>
+            <label htmlFor="email">Email</label>
+            <input onChange={handleEmail} id="email" value={email} autoFocus tabIndex={1} onKeyDown={handleKey} />
+            <textarea defaultValue="Hello" maxLength={200} onChange={event => console.log(event.target.value)} />
+            <input type="checkbox" defaultChecked={agree} onChange={() => setAgree(!agree)} />
+            <div dangerouslySetInnerHTML={{ __html: '<b>Terms</b>' }} onDoubleClick={() => setAgree(true)} />
+        </form>
+    );
+}
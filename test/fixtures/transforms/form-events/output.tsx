@@ -0,0 +1,27 @@
+import { createSignal, type JSX } from 'solid-js';
+
+export function SignupForm(props: { onSubmit: (email: string) => void }) {
+    const [email, setEmail] = createSignal('');
+    const [agree, setAgree] = createSignal(false);
+
+    const handleEmail = (event: Event & { currentTarget: HTMLInputElement; target: HTMLInputElement }) => {
+        setEmail(event.target.value);
+    };
+    const handleSubmit = (event: Event & { currentTarget: HTMLFormElement; target: Element }) => {
+        event.preventDefault();
+        props.onSubmit(email());
+    };
+    const handleKey: JSX.EventHandler<HTMLInputElement, KeyboardEvent> = event => {
+        if (event.key === 'Escape') setEmail('');
+    };
+
+    return (
+        <form onSubmit={handleSubmit} novalidate>
+            <label for="email">Email</label>
+            <input onInput={handleEmail} id="email" value={email()} autofocus tabindex={1} onKeyDown={handleKey} />
+            <textarea value="Hello" maxlength={200} onInput={event => console.log(event.target.value)} />
+            <input type="checkbox" checked={agree()} onChange={() => setAgree(!agree())} />
+            <div innerHTML={'<b>Terms</b>'} onDblClick={() => setAgree(true)} />
+        </form>
+    );
+}
@@ -0,0 +1,10 @@
+// No React import: Next.js makes the namespace global for types
+export function Shell({ title, children }: { title: string; children: React.ReactNode }) {
+    const onClick = (event: React.MouseEvent<HTMLButtonElement>) => event.preventDefault();
+    return (
+        <section>
+            <button onClick={onClick}>{title}</button>
+            {children}
+        </section>
+    );
+}
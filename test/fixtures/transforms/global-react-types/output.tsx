@@ -0,0 +1,11 @@
+import type { JSX } from 'solid-js';
+// No React import: Next.js makes the namespace global for types
+export function Shell(props: { title: string; children: JSX.Element }) {
+    const onClick = (event: MouseEvent & { currentTarget: HTMLButtonElement; target: Element }) => event.preventDefault();
+    return (
+        <section>
+            <button onClick={onClick}>{props.title}</button>
+            {props.children}
+        </section>
+    );
+}
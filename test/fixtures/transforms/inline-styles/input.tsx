@@ -0,0 +1,17 @@
+const styles = {
+    card: { padding: 16, borderRadius: 4, lineHeight: 1.5 }
+};
+
+// Read by code too, so its keys stay as they are
+const theme = { gap: 8, color: 'teal' };
+
+export function Banner({ color, width, big, inset }) {
+    return (
+        <div style={{ backgroundColor: color, marginTop: -8, zIndex: 10, WebkitUserSelect: 'none', width }}>
+            <p style={styles.card}>Sale</p>
+            <h2 style={{ fontSize: big ? 24 : 16, padding: inset || 4, margin: `${theme.gap}px` }}>Today only</h2>
+            <p style={{ WebkitLineClamp: 3, msFlex: 1, MozOrder: 2, WebkitBoxFlex: 1, WebkitMarginStart: 4 }}>Ends soon</p>
+            <ul style={theme}>{theme.gap > 4 ? 'Roomy' : 'Snug'}</ul>
+        </div>
+    );
+}
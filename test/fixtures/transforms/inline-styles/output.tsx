@@ -0,0 +1,17 @@
+const styles = {
+    card: { 'padding': '16px', 'border-radius': '4px', 'line-height': 1.5 }
+};
+
+// Read by code too, so its keys stay as they are
+const theme = { gap: 8, color: 'teal' };
+
+export function Banner(props) {
+    return (
+        <div style={{ 'background-color': props.color, 'margin-top': '-8px', 'z-index': 10, '-webkit-user-select': 'none', 'width': props.width }}>
+            <p style={styles.card}>Sale</p>
+            <h2 style={{ 'font-size': props.big ? '24px' : '16px', 'padding': props.inset || '4px', 'margin': `${theme.gap}px` }}>Today only</h2>
+            <p style={{ '-webkit-line-clamp': 3, '-ms-flex': 1, '-moz-order': 2, '-webkit-box-flex': 1, '-webkit-margin-start': '4px' }}>Ends soon</p>
+            <ul style={theme}>{theme.gap > 4 ? 'Roomy' : 'Snug'}</ul>
+        </div>
+    );
+}
@@ -0,0 +1,18 @@
+import React, { Fragment, memo, cloneElement } from 'react';
+
+const Row = memo(function Row({ item }: { item: string }) {
+    return <li>{item}</li>;
+});
+
+export default React.memo(function List({ items, icon }: { items: string[]; icon: React.ReactElement }) {
+    return (
+        <React.Fragment>
+            {items.map((item, i) => (
+                <Fragment key={i}>
+                    <Row item={item} />
+                    {cloneElement(icon)}
+                </Fragment>
+            ))}
+        </React.Fragment>
+    );
+});
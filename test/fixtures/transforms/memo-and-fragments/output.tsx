@@ -0,0 +1,19 @@
+import type { JSX } from 'solid-js';
+import { cloneElement } from 'react';
+
+const Row = function Row(props: { item: string }) {
+    return <li>{props.item}</li>;
+};
+
+export default function List(props: { items: string[]; icon: JSX.Element }) {
+    return (
+        <>
+            {props.items.map((item, i) => (
+                <>
+                    <Row item={item} />
+                    {cloneElement(props.icon)}
+                </>
+            ))}
+        </>
+    );
+};
@@ -0,0 +1,15 @@
+import React, { useState } from 'react';
+
+export function Tabs({ children }: { children: React.ReactNode }) {
+    const [active, setActive] = useState(0);
+
+    return (
+        <div role="tablist">
+            {React.Children.map(children, (child, index) => (
+                <button role="tab" aria-selected={index === active} onClick={() => setActive(index)}>
+                    {child}
+                </button>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,17 @@
+// Converted by the mock provider
+import { createSignal, type JSX } from 'solid-js';
+import React from 'react';
+
+export function Tabs(props: { children: JSX.Element }) {
+    const [active, setActive] = createSignal(0);
+
+    return (
+        <div role="tablist">
+            {React.Children.map(props.children, (child, index) => (
+                <button role="tab" aria-selected={index === active()} onClick={() => setActive(index)}>
+                    {child}
+                </button>
+            ))}
+        </div>
+    );
+}
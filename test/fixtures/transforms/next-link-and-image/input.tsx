@@ -0,0 +1,16 @@
+import Link from 'next/link';
+import Image from 'next/image';
+import logo from './logo.png';
+
+export function Header(props: { tag: string }) {
+    return (
+        <nav>
+            <Link href="/" prefetch={false} className="home">
+                <Image src={logo} alt="Logo" width={32} height={32} priority />
+            </Link>
+            <Link href="/about">About</Link>
+            <Link href={{ pathname: '/search', query: { q: 'solid js', page: 2 }, hash: 'results' }}>Search</Link>
+            <Link href={{ pathname: '/tags', query: { tag: props.tag } }}>Tag</Link>
+        </nav>
+    );
+}
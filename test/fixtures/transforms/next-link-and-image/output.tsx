@@ -0,0 +1,21 @@
+import logo from './logo.png';
+
+export function Header(props: { tag: string }) {
+    return (
+        <nav>
+            <a href="/" class="home">
+                <img
+                    src={logo.src}
+                    alt="Logo"
+                    width={32}
+                    height={32}
+                    loading="eager"
+                    fetchpriority="high"
+                    decoding="async" />
+            </a>
+            <a href="/about">About</a>
+            <a href="/search?q=solid+js&page=2#results">Search</a>
+            <a href={{ pathname: '/tags', query: { tag: props.tag } }}>Tag</a>
+        </nav>
+    );
+}
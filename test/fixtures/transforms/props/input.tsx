@@ -0,0 +1,13 @@
+import React from 'react';
+
+type Props = { title: string; subtitle?: string; children?: React.ReactNode };
+
+export const Card: React.FC<Props> = ({ title, subtitle = 'Untitled', children }) => {
+    return (
+        <article>
+            <h2>{title}</h2>
+            {subtitle && <h3>{subtitle}</h3>}
+            {children}
+        </article>
+    );
+};
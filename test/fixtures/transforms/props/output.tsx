@@ -0,0 +1,14 @@
+import { mergeProps, type Component, type JSX } from 'solid-js';
+
+type Props = { title: string; subtitle?: string; children?: JSX.Element };
+
+export const Card: Component<Props> = (rawProps) => {
+    const props = mergeProps({ subtitle: 'Untitled' }, rawProps);
+    return (
+        <article>
+            <h2>{props.title}</h2>
+            {props.subtitle && <h3>{props.subtitle}</h3>}
+            {props.children}
+        </article>
+    );
+};
@@ -0,0 +1,8 @@
+import { useQuery } from '@tanstack/react-query';
+
+export function Users({ page }) {
+    const users = useQuery({ queryKey: ['users', page], queryFn: () => fetch(`/api/users?page=${page}`).then(r => r.json()) });
+
+    if (users.isLoading) return <p>Loading</p>;
+    return <ul>{users.data.map(user => <li key={user.id}>{user.name}</li>)}</ul>;
+}
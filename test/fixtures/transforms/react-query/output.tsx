@@ -0,0 +1,11 @@
+import { useQuery } from '@tanstack/solid-query';
+
+export function Users(props) {
+    const users = useQuery(() => ({
+        queryKey: ['users', props.page],
+        queryFn: () => fetch(`/api/users?page=${props.page}`).then(r => r.json())
+    }));
+
+    if (users.isLoading) return <p>Loading</p>;
+    return <ul>{users.data.map(user => <li key={user.id}>{user.name}</li>)}</ul>;
+}
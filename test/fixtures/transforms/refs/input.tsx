@@ -0,0 +1,20 @@
+import { useRef, useEffect } from 'react';
+
+export function SearchBox() {
+    const input = useRef<HTMLInputElement>(null);
+    const renders = useRef(0);
+
+    useEffect(() => {
+        input.current?.focus();
+        renders.current += 1;
+    }, []);
+
+    return <input ref={input} placeholder="Search" />;
+}
+
+export function Tooltip({ text }: { text: string }) {
+    const anchor = useRef<HTMLSpanElement>(null);
+    useEffect(() => positionTooltip(anchor), []);
+
+    return <span ref={anchor}>{text}</span>;
+}
@@ -0,0 +1,20 @@
+import { onMount } from 'solid-js';
+
+export function SearchBox() {
+    let input: HTMLInputElement | undefined;
+    let renders = 0;
+
+    onMount(() => {
+        input?.focus();
+        renders += 1;
+    });
+
+    return <input ref={input} placeholder="Search" />;
+}
+
+export function Tooltip(props: { text: string }) {
+    const anchor = { current: null } as { current: HTMLSpanElement };
+    onMount(() => positionTooltip(anchor));
+
+    return <span ref={el => (anchor.current = el)}>{props.text}</span>;
+}
@@ -0,0 +1,18 @@
+'use client';
+
+import React, { useState, useMemo, useCallback } from 'react';
+
+export default function Cart({ items }) {
+    const [open, setOpen] = useState(false);
+    const [count, setCount] = useState(() => items.length);
+    const total = useMemo(() => items.reduce((sum, item) => sum + item.price, 0), [items]);
+    const toggle = useCallback(() => setOpen(!open), [open]);
+
+    return (
+        <section className="cart">
+            <button onClick={toggle}>{open ? 'Close' : 'Open'} ({count})</button>
+            <button onClick={() => setCount(count + 1)}>Add</button>
+            <p>Total: {total}</p>
+        </section>
+    );
+}
@@ -0,0 +1,16 @@
+import { createMemo, createSignal } from 'solid-js';
+
+export default function Cart(props) {
+    const [open, setOpen] = createSignal(false);
+    const [count, setCount] = createSignal(props.items.length);
+    const total = createMemo(() => props.items.reduce((sum, item) => sum + item.price, 0));
+    const toggle = () => setOpen(!open());
+
+    return (
+        <section class="cart">
+            <button onClick={toggle}>{open() ? 'Close' : 'Open'} ({count()})</button>
+            <button onClick={() => setCount(count() + 1)}>Add</button>
+            <p>Total: {total()}</p>
+        </section>
+    );
+}
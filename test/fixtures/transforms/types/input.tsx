@@ -0,0 +1,13 @@
+import type { FC, PropsWithChildren, ReactNode, CSSProperties } from 'react';
+
+interface LayoutProps {
+    header: ReactNode;
+    style?: CSSProperties;
+}
+
+export const Layout: FC<PropsWithChildren<LayoutProps>> = ({ header, style, children }) => (
+    <div style={style}>
+        <header>{header}</header>
+        <main>{children}</main>
+    </div>
+);
@@ -0,0 +1,11 @@
+import type { Component, JSX, ParentProps } from 'solid-js';
+
+interface LayoutProps {
+    header: JSX.Element;
+    style?: JSX.CSSProperties;
+}
+
+export const Layout: Component<ParentProps<LayoutProps>> = (props) => (<div style={props.style}>
+    <header>{props.header}</header>
+    <main>{props.children}</main>
+</div>);
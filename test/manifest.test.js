@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import fs from 'fs-extra';
+import { checkFile, createManifest, flushManifest, MANIFEST_FILE, PATCH_DIR, writeRecorded } from '../lib/manifest.js';
+
+async function withProject(run) {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-test-'));
+    try {
+        await run(root);
+    } finally {
+        await fs.remove(root);
+    }
+}
+
+test('files recorded together are saved together, once flushed', async () => withProject(async root => {
+    const manifest = createManifest();
+    for (let i = 0; i < 20; i++) {
+        await writeRecorded(root, manifest, `src/components/C${i}.tsx`, `export const c = ${i};\n`, { status: 'converted' });
+    }
+    // New files need no pending entry saved first, so nothing is written yet
+    assert.equal(await fs.pathExists(path.join(root, MANIFEST_FILE)), false);
+
+    await flushManifest(root, manifest);
+    const saved = await fs.readJson(path.join(root, MANIFEST_FILE));
+    assert.equal(Object.keys(saved.files).length, 20);
+}));
+
+test('overwriting an earlier output saves it as pending first', async () => withProject(async root => {
+    const manifest = createManifest();
+    await writeRecorded(root, manifest, 'src/components/Nav.tsx', 'first\n', { status: 'converted' });
+    await flushManifest(root, manifest);
+
+    await writeRecorded(root, manifest, 'src/components/Nav.tsx', 'second\n', { status: 'converted' });
+    const saved = await fs.readJson(path.join(root, MANIFEST_FILE));
+    assert.equal(saved.files['src/components/Nav.tsx'].status, 'pending');
+    await flushManifest(root, manifest);
+}));
+
+test('model patches are kept beside the manifest and read back for kept files', async () => withProject(async root => {
+    const manifest = createManifest();
+    const modelPatch = '--- a/Nav.tsx\n+++ b/Nav.tsx\n@@ -1 +1 @@\n-local\n+model\n';
+    await writeRecorded(root, manifest, 'src/components/Nav.tsx', 'model\n', { source: 'react', status: 'converted', via: 'mock', modelPatch });
+    await flushManifest(root, manifest);
+
+    const saved = await fs.readJson(path.join(root, MANIFEST_FILE));
+    assert.equal(saved.files['src/components/Nav.tsx'].modelPatch, undefined);
+    assert.equal(saved.files['src/components/Nav.tsx'].modelPatchFile, `${PATCH_DIR}/src/components/Nav.tsx.patch`);
+
+    const { action, entry } = await checkFile(root, saved, 'src/components/Nav.tsx', 'react');
+    assert.equal(action, 'unchanged');
+    assert.equal(entry.modelPatch, modelPatch);
+}));
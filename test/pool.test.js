@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { runPool } from '../lib/pool.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('commits results in the order of the items, however the work finishes', async () => {
+    const items = [40, 5, 30, 0, 20, 10, 0, 15];
+    const committed = [];
+    const results = await runPool(items, async (delay, index) => {
+        await sleep(delay);
+        return index;
+    }, { concurrency: 4, commit: result => committed.push(result) });
+
+    assert.deepEqual(committed, [0, 1, 2, 3, 4, 5, 6, 7]);
+    assert.deepEqual(results, [0, 1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('never works on more than `concurrency` items at once', async () => {
+    let running = 0;
+    let most = 0;
+    await runPool(Array.from({ length: 10 }, (_, index) => index), async index => {
+        most = Math.max(most, ++running);
+        await sleep(index % 3 * 5);
+        running--;
+    }, { concurrency: 3 });
+
+    assert.equal(most, 3);
+});
+
+test('one failing item is committed in its place while the others carry on', async () => {
+    // The way the migration's workers hand errors on (see convertInPool)
+    const work = async file => {
+        try {
+            if (file === 'broken.tsx') throw new Error('cannot read broken.tsx');
+            await sleep(file.length);
+            return { code: file };
+        } catch (error) {
+            return { error };
+        }
+    };
+    const committed = [];
+    const settled = [];
+    await runPool(['a.tsx', 'broken.tsx', 'longer-name.tsx', 'b.tsx'], work, {
+        concurrency: 2,
+        onSettled: file => settled.push(file),
+        commit: ({ code, error }, file) => committed.push(error ? `${file}: ${error.message}` : code)
+    });
+
+    assert.deepEqual(committed, ['a.tsx', 'broken.tsx: cannot read broken.tsx', 'longer-name.tsx', 'b.tsx']);
+    assert.equal(settled.length, 4);
+});
+
+test('an empty list resolves at once', async () => {
+    assert.deepEqual(await runPool([], () => assert.fail('no work expected')), []);
+});
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createRateLimiter } from '../lib/providers/rate-limit.js';
+import { isRetryable, withRetries } from '../lib/providers/prompt.js';
+
+const httpError = (status, retryAfter) => Object.assign(new Error(`answered ${status}`), { status, retryAfter });
+
+test('the rate limiter spaces requests evenly, the first one at once', async () => {
+    const limit = createRateLimiter(600);
+    const start = Date.now();
+    const times = [];
+    await Promise.all([0, 1, 2, 3].map(async () => {
+        await limit();
+        times.push(Date.now() - start);
+    }));
+
+    // 600 a minute is one every 100ms
+    times.sort((a, b) => a - b);
+    assert.ok(times[0] < 50, `first request waited ${times[0]}ms`);
+    times.slice(1).forEach((time, index) => assert.ok(time >= (index + 1) * 100 - 5, `request ${index + 2} came after ${time}ms`));
+});
+
+test('without a limit nothing waits', async () => {
+    const limit = createRateLimiter(undefined);
+    const start = Date.now();
+    await Promise.all(Array.from({ length: 20 }, () => limit()));
+    assert.ok(Date.now() - start < 50);
+});
+
+test('every attempt, retries included, goes through the limiter', async () => {
+    let slots = 0;
+    let attempts = 0;
+    const result = await withRetries(async () => {
+        if (++attempts < 3) throw httpError(503, 1);
+        return 'converted';
+    }, { throttle: async () => slots++ });
+
+    assert.equal(result, 'converted');
+    assert.equal(attempts, 3);
+    assert.equal(slots, 3);
+});
+
+test('only busy, failing and broken requests are retried', async () => {
+    assert.ok(isRetryable(httpError(429)));
+    assert.ok(isRetryable(httpError(500)));
+    assert.ok(isRetryable(httpError(503)));
+    assert.ok(isRetryable(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } })));
+    assert.ok(!isRetryable(httpError(400)));
+    assert.ok(!isRetryable(httpError(401)));
+    assert.ok(!isRetryable(httpError(403)));
+    assert.ok(!isRetryable(new TypeError('Cannot read properties of undefined')));
+
+    let attempts = 0;
+    await assert.rejects(withRetries(async () => {
+        attempts++;
+        throw httpError(401);
+    }), /answered 401/);
+    assert.equal(attempts, 1);
+});
+
+test('a retry waits at least as long as Retry-After asks', async () => {
+    let attempts = 0;
+    const start = Date.now();
+    await withRetries(async () => {
+        if (++attempts === 1) throw httpError(429, 1200);
+        return 'converted';
+    });
+    assert.ok(Date.now() - start >= 1200);
+});
@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { findLeftovers } from '../lib/report.js';
+import { fallbackReasons } from '../lib/hybrid.js';
+
+const SOURCE = `import React, { Fragment, memo } from 'react';
+const Row = memo(function Row() { return <li />; });
+export function List() { return <React.Fragment><Fragment><Row /></Fragment></React.Fragment>; }
+`;
+
+// What the conversion made of SOURCE before memo and Fragment were handled
+const CONVERTED = `const Row = memo(function Row() { return <li />; });
+export function List() { return <React.Fragment><Fragment><Row /></Fragment></React.Fragment>; }
+`;
+
+test('React bindings the converted code uses but no longer imports are leftovers', () => {
+    const names = findLeftovers(CONVERTED, 'components/List.tsx', SOURCE).map(({ name }) => name);
+    assert.deepEqual(names, ['memo', 'React.Fragment', 'Fragment']);
+});
+
+test('names the converted code defines itself are not leftovers', () => {
+    const code = `const memo = fn => fn;\nconst Row = memo(() => <li />);\n`;
+    assert.deepEqual(findLeftovers(code, 'components/List.tsx', SOURCE), []);
+});
+
+test('leftover React bindings send the file to a model', () => {
+    assert.deepEqual(fallbackReasons(CONVERTED, 'components/List.tsx', SOURCE), ['React is left in it: memo, React.Fragment, Fragment']);
+});
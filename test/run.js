@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+import chalk from 'chalk';
+import { spawnSync } from 'child_process';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import fg from 'fast-glob';
+import { convertHybrid } from '../lib/hybrid.js';
+import { createProvider } from '../lib/providers/index.js';
+import { createFilePatch, printPatch } from '../lib/dry-run.js';
+import { discoverProjectStructure } from '../lib/migration.js';
+
+/**
+ * Golden-file tests. Every directory under fixtures/transforms holds an
+ * `input.*` file, the `output.*` the transforms should turn it into and,
+ * optionally, an options.json of runTransforms options (plus `file`, the
+ * path the input is converted as, and `provider`, the model provider the
+ * file is handed to when the transforms cannot finish it, see hybrid.js),
+ * a warnings.json of the warnings the transforms report and a model.json
+ * of why the file needed a model and which one finished it. Every
+ * directory under fixtures/projects holds a React project in input/,
+ * which is migrated with solid_migration_tool.js into a temporary
+ * directory and compared with expected/, and structure.json, what
+ * discovery finds in it. An optional runs.json lists the extra arguments
+ * of each migration to run, all of which must produce expected/: the same
+ * project converted one file at a time and many at once, say.
+ *
+ *   node test/run.js               run every fixture, showing diffs
+ *   node test/run.js hooks         only the fixtures whose name contains "hooks"
+ *   node test/run.js --update      rewrite the expected files from the current output
+ */
+
+const TEST_DIR = path.dirname(fileURLToPath(import.meta.url));
+const TRANSFORM_FIXTURES = path.join(TEST_DIR, 'fixtures', 'transforms');
+const PROJECT_FIXTURES = path.join(TEST_DIR, 'fixtures', 'projects');
+const TOOL = path.join(TEST_DIR, '..', 'solid_migration_tool.js');
+
+/**
+ * Output left out of project comparisons: wrangler.toml is dated the day
+ * of the run, and the manifest and HTML report only repeat the other files.
+ */
+const UNCOMPARED = ['wrangler.toml', '.migration-manifest.json', 'migration-report.html'];
+
+/**
+ * Compare `actual` with the expected file at `expectedPath`, or write it
+ * there when updating. Returns 'passed', 'updated' or 'failed', printing
+ * the diff of a failure.
+ */
+async function compare(name, expectedPath, actual, update) {
+    const expected = await fs.pathExists(expectedPath) ? await fs.readFile(expectedPath, 'utf-8') : null;
+    if (expected === actual) return 'passed';
+
+    if (update) {
+        if (actual === null) {
+            await fs.remove(expectedPath);
+        } else {
+            await fs.ensureDir(path.dirname(expectedPath));
+            await fs.writeFile(expectedPath, actual);
+        }
+        return 'updated';
+    }
+
+    if (expected === null) {
+        console.log(chalk.red(`  unexpected file ${name}`));
+    } else if (actual === null) {
+        console.log(chalk.red(`  missing file ${name}`));
+    } else {
+        console.log(chalk.red(`  ${name} differs from what was expected:`));
+    }
+    printPatch(createFilePatch(name, name, expected || '', actual || ''));
+    return 'failed';
+}
+
+async function runTransformFixture(dir, update) {
+    const [input] = await fg(['input.*'], { cwd: dir });
+    if (!input) throw new Error('no input file');
+    const extension = path.extname(input);
+    const optionsPath = path.join(dir, 'options.json');
+    const { file = `components/${path.basename(dir)}${extension}`, provider = 'none', ...options } = await fs.pathExists(optionsPath)
+        ? await fs.readJson(optionsPath)
+        : {};
+
+    const source = await fs.readFile(path.join(dir, input), 'utf-8');
+    const { code, warnings, via, reasons } = await convertHybrid(source, file, options, createProvider(provider));
+    const json = value => `${JSON.stringify(value, null, 2)}\n`;
+    return [
+        await compare(`output${extension}`, path.join(dir, `output${extension}`), code, update),
+        await compare('warnings.json', path.join(dir, 'warnings.json'), warnings.length > 0 ? json(warnings) : null, update),
+        await compare('model.json', path.join(dir, 'model.json'), reasons.length > 0 ? json({ via, reasons }) : null, update)
+    ];
+}
+
+async function runProjectFixture(dir, update) {
+    const name = path.basename(dir);
+    const source = path.join(dir, 'input');
+    const results = [];
+
+    // What discovery finds, without the resolver and the source package.json
+    const { imports, packageJson, ...structure } = await discoverProjectStructure(source);
+    results.push(await compare('structure.json', path.join(dir, 'structure.json'), `${JSON.stringify(structure, null, 2)}\n`, update));
+
+    const runsPath = path.join(dir, 'runs.json');
+    const runs = await fs.pathExists(runsPath) ? await fs.readJson(runsPath) : [[]];
+    for (const extraArgs of runs) {
+        // Differences are named after the run that made them when there are several
+        const label = runs.length > 1 ? `[${extraArgs.join(' ') || 'defaults'}] ` : '';
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'solid-migration-'));
+        try {
+            const run = spawnSync(process.execPath, [TOOL, '--source', source, '--out', name, '--yes', ...extraArgs], {
+                cwd: workDir,
+                encoding: 'utf-8',
+                timeout: 120000
+            });
+            if (run.status !== 0) {
+                throw new Error(`the migration ${label}exited with ${run.status}:\n${run.stdout}${run.stderr}`);
+            }
+
+            const outDir = path.join(workDir, name);
+            const expectedDir = path.join(dir, 'expected');
+            const options = { dot: true, ignore: UNCOMPARED };
+            const files = new Set([...await fg(['**/*'], { cwd: outDir, ...options }), ...await fg(['**/*'], { cwd: expectedDir, ...options })]);
+            for (const file of [...files].sort()) {
+                const outFile = path.join(outDir, file);
+                const actual = await fs.pathExists(outFile) ? await fs.readFile(outFile, 'utf-8') : null;
+                results.push(await compare(`${label}${file}`, path.join(expectedDir, file), actual, update));
+            }
+        } finally {
+            await fs.remove(workDir);
+        }
+    }
+    return results;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const update = args.includes('--update') || args.includes('-u');
+    const filters = args.filter(arg => !arg.startsWith('-'));
+
+    const fixtures = [
+        ...(await fg(['*'], { cwd: TRANSFORM_FIXTURES, onlyDirectories: true })).map(name => ({
+            name: `transforms/${name}`, dir: path.join(TRANSFORM_FIXTURES, name), run: runTransformFixture
+        })),
+        ...(await fg(['*'], { cwd: PROJECT_FIXTURES, onlyDirectories: true })).map(name => ({
+            name: `projects/${name}`, dir: path.join(PROJECT_FIXTURES, name), run: runProjectFixture
+        }))
+    ].filter(({ name }) => filters.length === 0 || filters.some(filter => name.includes(filter)))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    const counts = { passed: 0, updated: 0, failed: 0 };
+    for (const { name, dir, run } of fixtures) {
+        let results;
+        try {
+            results = await run(dir, update);
+        } catch (error) {
+            console.log(chalk.red(`✖ ${name}: ${error.message}`));
+            counts.failed++;
+            continue;
+        }
+        const outcome = results.includes('failed') ? 'failed' : results.includes('updated') ? 'updated' : 'passed';
+        counts[outcome]++;
+        if (outcome === 'failed') console.log(chalk.red(`✖ ${name}`));
+        else if (outcome === 'updated') console.log(chalk.yellow(`↻ ${name} (updated)`));
+        else console.log(chalk.green(`✔ ${name}`));
+    }
+
+    console.log(chalk.bold(`\n${counts.passed} passed, ${counts.updated} updated, ${counts.failed} failed`));
+    if (counts.failed > 0) process.exit(1);
+}
+
+main();